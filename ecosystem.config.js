@@ -18,5 +18,14 @@ module.exports = {
         NODE_ENV: "production",
       },
     },
+    {
+      name: "maintenance-worker",
+      script: "src/workers/maintenance-worker.js",
+      instances: 1,
+      exec_mode: "fork",
+      env: {
+        NODE_ENV: "production",
+      },
+    },
   ],
 };
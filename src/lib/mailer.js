@@ -0,0 +1,85 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Outgoing mail goes through a named transport so development setups don't
+// need an SMTP server. Every transport implements `send(message)` where a
+// message is { from, to, subject, html, text }.
+const transports = {
+  smtp: () => {
+    const nodemailer = require("nodemailer");
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+
+    return { send: (message) => transporter.sendMail(message) };
+  },
+
+  // Writes each message as .html and .txt files to open in a browser/editor
+  file: () => {
+    const dir = path.resolve(process.env.MAIL_DIR || "tmp/mail");
+
+    return {
+      send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const slug = message.to.replace(/[^a-z0-9]+/gi, "_");
+        const base = path.join(dir, `${Date.now()}-${slug}`);
+
+        await fs.writeFile(`${base}.html`, message.html || "");
+        await fs.writeFile(
+          `${base}.txt`,
+          `To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`
+        );
+        return { path: `${base}.html` };
+      },
+    };
+  },
+
+  console: () => ({
+    send: async (message) => {
+      console.log(
+        `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`
+      );
+      return {};
+    },
+  }),
+};
+
+let transport = null;
+
+const getTransportName = () =>
+  process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === "production" ? "smtp" : "console");
+
+// Lets other transports (a provider API, a test spy) be plugged in by name
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  transport = null;
+}
+
+function getTransport() {
+  if (!transport) {
+    const name = getTransportName();
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+}
+
+async function sendMail({ to, subject, html, text }) {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || "NeuralFlow <no-reply@neuralflow.app>",
+    to,
+    subject,
+    html,
+    text,
+  });
+}
+
+module.exports = { sendMail, registerTransport };
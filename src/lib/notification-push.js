@@ -0,0 +1,74 @@
+const { Types } = require("mongoose");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { emitToRoom } = require("../workers/socketManager");
+
+async function getUnreadCount(userId) {
+  return Notification.countDocuments({
+    userId,
+    read: false,
+    "channels.inApp": { $ne: false },
+  });
+}
+
+// Sends created (`notification:new`) or regrouped (`notification:updated`)
+// notifications to their recipients' sockets with each recipient's unread
+// count
+async function pushNotifications(notifications, event) {
+  if (notifications.length === 0) return;
+
+  try {
+    const userIds = [...new Set(notifications.map((n) => n.userId.toString()))];
+
+    const [users, unreadCounts] = await Promise.all([
+      User.find({ _id: { $in: userIds } }).select("uid"),
+      Notification.aggregate([
+        {
+          $match: {
+            userId: { $in: userIds.map((id) => new Types.ObjectId(id)) },
+            read: false,
+            "channels.inApp": { $ne: false },
+          },
+        },
+        { $group: { _id: "$userId", count: { $sum: 1 } } },
+      ]),
+      Notification.populate(notifications, [
+        { path: "payload.actorId", select: "_id name email avatarUrl" },
+        { path: "actors", select: "_id name avatarURL" },
+      ]),
+    ]);
+
+    // Notifications reference the MongoDB user id, while sockets join
+    // `user:<firebase uid>` rooms
+    const rooms = new Map(
+      users.map((u) => [u._id.toString(), `user:${u.uid}`])
+    );
+    const counts = new Map(
+      unreadCounts.map((c) => [c._id.toString(), c.count])
+    );
+
+    for (const notification of notifications) {
+      const userId = notification.userId.toString();
+      if (!rooms.has(userId)) continue;
+
+      emitToRoom(rooms.get(userId), event, {
+        notification,
+        unreadCount: counts.get(userId) || 0,
+      });
+    }
+  } catch (error) {
+    console.error("🔔 Push notification error:", error);
+  }
+}
+
+// Keep every open tab of a user in sync after read/delete changes
+async function pushNotificationSync(user, event, data = {}) {
+  try {
+    const unreadCount = await getUnreadCount(user._id);
+    emitToRoom(`user:${user.uid}`, event, { ...data, unreadCount });
+  } catch (error) {
+    console.error("🔔 Notification sync error:", error);
+  }
+}
+
+module.exports = { pushNotifications, pushNotificationSync };
@@ -0,0 +1,221 @@
+const Notification = require("../models/Notification");
+const NotificationPreference = require("../models/NotificationPreference");
+const User = require("../models/User");
+const { sendMail } = require("./mailer");
+const { pushNotifications } = require("./notification-push");
+const { escapeHtml } = require("../utils/html");
+
+const CHANNELS = ["inApp", "socket", "digest", "email"];
+const DEFAULT_CHANNELS = {
+  inApp: true,
+  socket: true,
+  digest: true,
+  email: false,
+};
+
+// Invites are accepted from the notification list, so they always show there
+const REQUIRED_CHANNELS = { membership_invite: { inApp: true } };
+
+const isMuted = (preference, payload, now) =>
+  (preference?.mutes || []).some(
+    (mute) =>
+      (!mute.until || mute.until > now) &&
+      mute.targetId.toString() === payload?.[`${mute.targetType}Id`]?.toString()
+  );
+
+// Channels a notification of `type` about `payload` is delivered on for a
+// user with `preference` (null when they never changed anything)
+function resolveChannels(preference, type, payload, now = new Date()) {
+  const channels = {
+    ...DEFAULT_CHANNELS,
+    ...pickChannels(preference?.types?.get(type)),
+  };
+
+  if (isMuted(preference, payload, now)) {
+    for (const channel of CHANNELS) channels[channel] = false;
+  }
+
+  return { ...channels, ...REQUIRED_CHANNELS[type] };
+}
+
+function pickChannels(overrides) {
+  const picked = {};
+  for (const channel of CHANNELS) {
+    if (typeof overrides?.[channel] === "boolean") {
+      picked[channel] = overrides[channel];
+    }
+  }
+  return picked;
+}
+
+const NOTIFICATION_TYPES = Notification.schema.path("type").enumValues;
+
+// Effective channels for every type plus the mutes still in effect
+function describePreferences(preference, now = new Date()) {
+  const types = {};
+  for (const type of NOTIFICATION_TYPES) {
+    types[type] = resolveChannels(preference, type, null, now);
+  }
+
+  return {
+    types,
+    mutes: (preference?.mutes || []).filter(
+      (mute) => !mute.until || mute.until > now
+    ),
+  };
+}
+
+async function sendNotificationEmails(notifications) {
+  const users = await User.find({
+    _id: { $in: notifications.map((n) => n.userId) },
+  }).select("email");
+  const emails = new Map(users.map((u) => [u._id.toString(), u.email]));
+
+  for (const notification of notifications) {
+    const to = emails.get(notification.userId.toString());
+    if (!to) continue;
+
+    try {
+      await sendMail({
+        to,
+        subject: notification.title,
+        text: notification.message || notification.title,
+        html: `<p>${escapeHtml(
+          notification.message || notification.title
+        )}</p>`,
+      });
+    } catch (error) {
+      console.error("📧 Notification email error:", error);
+    }
+  }
+}
+
+const toId = (value) => (value?._id || value).toString();
+
+const getGroupWindowMs = () =>
+  (Number(process.env.NOTIFICATION_GROUP_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// "Ana updated X", "Ana updated X 4 times", "Ana and 3 others updated X"
+function describeGroup({ actorName, actorCount, eventCount, group }) {
+  const others = actorCount - 1;
+  const who =
+    others > 0
+      ? `${actorName} and ${others} ${others === 1 ? "other" : "others"}`
+      : actorName;
+  const times = others === 0 && eventCount > 1 ? ` ${eventCount} times` : "";
+
+  return `${who} ${group.verb} ${group.target}${times}.`;
+}
+
+// Folds an event into the recipient's unread notification with the same
+// group key if its last event is within the window; null when there is none
+async function mergeIntoGroup(notification, { actor, group, now }) {
+  const existing = await Notification.findOneAndUpdate(
+    {
+      userId: notification.userId,
+      groupKey: notification.groupKey,
+      read: false,
+      lastEventAt: { $gte: new Date(now.getTime() - getGroupWindowMs()) },
+    },
+    {
+      $inc: { eventCount: 1 },
+      $addToSet: { actors: actor._id },
+      $set: { lastEventAt: now, "payload.actorId": actor._id },
+    },
+    { new: true, sort: { lastEventAt: -1 } }
+  );
+  if (!existing) return null;
+
+  existing.message = describeGroup({
+    actorName: actor.name,
+    actorCount: existing.actors.length,
+    eventCount: existing.eventCount,
+    group,
+  });
+  await existing.save();
+
+  return existing;
+}
+
+// Single entry point for creating notifications. An event is
+// { type, actor, recipients, title, message, payload }: recipients may be ids
+// or user documents, duplicates and the actor are dropped, and a null actor
+// marks a system event. Each recipient's preferences decide whether it is
+// stored, pushed to sockets and emailed. Events with a `group` ({ verb,
+// target }, e.g. { verb: "updated", target: '"Fix login"' }) are merged into
+// a recent unread notification of the same type and target instead.
+// Returns the saved notifications.
+async function notify({
+  type,
+  actor = null,
+  recipients = [],
+  title,
+  message,
+  payload = {},
+  group = null,
+}) {
+  const actorId = actor ? toId(actor) : null;
+  const userIds = [...new Set(recipients.filter(Boolean).map(toId))].filter(
+    (userId) => userId !== actorId
+  );
+  if (userIds.length === 0) return [];
+
+  const preferences = await NotificationPreference.find({
+    userId: { $in: userIds },
+  });
+  const byUser = new Map(preferences.map((p) => [p.userId.toString(), p]));
+
+  const now = new Date();
+  const target = payload.taskId || payload.projectId || payload.workspaceId;
+  const groupKey = group && actor && target ? `${type}:${target}` : null;
+
+  const notifications = userIds
+    .map((userId) => ({
+      userId,
+      type,
+      title,
+      message,
+      payload: actorId ? { ...payload, actorId } : payload,
+      channels: resolveChannels(byUser.get(userId), type, payload),
+      groupKey,
+      actors: actorId ? [actorId] : [],
+      lastEventAt: now,
+    }))
+    // Nothing is stored for recipients who turned every channel off
+    .filter((notification) => CHANNELS.some((c) => notification.channels[c]));
+
+  if (notifications.length === 0) return [];
+
+  let merged = [];
+  let fresh = notifications;
+  if (groupKey) {
+    const results = await Promise.all(
+      notifications.map((n) => mergeIntoGroup(n, { actor, group, now }))
+    );
+    merged = results.filter(Boolean);
+    fresh = notifications.filter((_, index) => !results[index]);
+  }
+
+  const saved = fresh.length > 0 ? await Notification.insertMany(fresh) : [];
+
+  await pushNotifications(
+    saved.filter((n) => n.channels.socket),
+    "notification:new"
+  );
+  await pushNotifications(
+    merged.filter((n) => n.channels?.socket !== false),
+    "notification:updated"
+  );
+  // Merged events were already emailed when their group started
+  await sendNotificationEmails(saved.filter((n) => n.channels.email));
+
+  return [...saved, ...merged];
+}
+
+module.exports = {
+  CHANNELS,
+  NOTIFICATION_TYPES,
+  resolveChannels,
+  describePreferences,
+  notify,
+};
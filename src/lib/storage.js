@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Attachment files are kept by a named storage driver. Every driver
+// implements:
+//   put(key, buffer, { contentType })   store an object
+//   getStream(key)                      readable stream of an object
+//   delete(key)                         remove an object (missing is fine)
+//   getSignedUrl(key, { expiresIn, filename, contentType })
+//                                       time-limited download URL
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+
+const getSigningSecret = () => {
+  const secret =
+    process.env.STORAGE_SIGNING_SECRET || process.env.WORKER_SECRET;
+  if (!secret) throw new Error("STORAGE_SIGNING_SECRET is not set");
+  return secret;
+};
+
+const sign = (data) =>
+  crypto
+    .createHmac("sha256", getSigningSecret())
+    .update(data)
+    .digest("base64url");
+
+// Tokens for the local driver's download route: the object key, file name,
+// content type and expiry, signed with the server secret
+function createDownloadToken({ key, filename, contentType, expiresAt }) {
+  const data = Buffer.from(
+    JSON.stringify({ k: key, n: filename, t: contentType, e: expiresAt })
+  ).toString("base64url");
+  return `${data}.${sign(data)}`;
+}
+
+// Returns null for tampered or expired tokens
+function verifyDownloadToken(token) {
+  const [data, signature] = String(token).split(".");
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, "base64url").toString());
+    if (!(payload.e > Date.now())) return null;
+    return {
+      key: payload.k,
+      filename: payload.n,
+      contentType: payload.t,
+      expiresAt: payload.e,
+    };
+  } catch {
+    return null;
+  }
+}
+
+const drivers = {
+  local: () => {
+    const root = path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+    const baseUrl = process.env.BACKEND_URL || "https://localhost:8080";
+
+    // Keys never escape the storage directory
+    const resolveKey = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return file;
+    };
+
+    return {
+      put: async (key, body) => {
+        const file = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, body);
+      },
+      getStream: (key) => fs.createReadStream(resolveKey(key)),
+      delete: (key) => fs.promises.rm(resolveKey(key), { force: true }),
+      getSignedUrl: async (key, { expiresIn, filename, contentType }) => {
+        const token = createDownloadToken({
+          key,
+          filename,
+          contentType,
+          expiresAt: Date.now() + expiresIn * 1000,
+        });
+        return `${baseUrl}/api/v1/files/${token}`;
+      },
+    };
+  },
+
+  // Any S3-compatible service; set S3_ENDPOINT for MinIO and the like
+  s3: () => {
+    const {
+      S3Client,
+      PutObjectCommand,
+      GetObjectCommand,
+      DeleteObjectCommand,
+    } = require("@aws-sdk/client-s3");
+    const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+    const bucket = process.env.S3_BUCKET;
+    const client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+
+    return {
+      put: (key, body, { contentType }) =>
+        client.send(
+          new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+          })
+        ),
+      getStream: async (key) => {
+        const { Body } = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return Body;
+      },
+      delete: (key) =>
+        client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+      getSignedUrl: (key, { expiresIn, filename, contentType }) =>
+        getSignedUrl(
+          client,
+          new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            ResponseContentType: contentType,
+            ResponseContentDisposition: contentDisposition(filename),
+          }),
+          { expiresIn }
+        ),
+    };
+  },
+};
+
+let storage = null;
+
+const getDriverName = () => process.env.STORAGE_DRIVER || "local";
+
+// Lets other backends be plugged in by name
+function registerStorageDriver(name, factory) {
+  drivers[name] = factory;
+  storage = null;
+}
+
+function getStorage() {
+  if (!storage) {
+    const name = getDriverName();
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    storage = { name, ...drivers[name]() };
+  }
+  return storage;
+}
+
+const getUrlTtlSeconds = () =>
+  Number(process.env.ATTACHMENT_URL_TTL_SECONDS) > 0
+    ? Number(process.env.ATTACHMENT_URL_TTL_SECONDS)
+    : DEFAULT_URL_TTL_SECONDS;
+
+// Always downloads as a file, with a plain-ASCII fallback name
+const contentDisposition = (filename) =>
+  `attachment; filename="${String(filename).replace(
+    /[^\x20-\x7e]|["\\]/g,
+    "_"
+  )}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+
+module.exports = {
+  getStorage,
+  registerStorageDriver,
+  getUrlTtlSeconds,
+  contentDisposition,
+  verifyDownloadToken,
+};
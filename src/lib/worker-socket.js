@@ -0,0 +1,34 @@
+const { io } = require("socket.io-client");
+const { setEmitRelay } = require("../workers/socketManager");
+
+// Connects a worker process to the API server's Socket.IO as a worker and
+// relays emitToRoom calls made inside the worker through it
+function connectWorkerSocket(label) {
+  const socket = io(process.env.BACKEND_URL || "https://localhost:8080", {
+    auth: { type: "worker", secret: process.env.WORKER_SECRET },
+    reconnection: true,
+    reconnectionDelay: 1000,
+    reconnectionAttempts: 10,
+    rejectUnauthorized: false,
+  });
+
+  socket.on("connect", () => {
+    console.log(`🔌 ${label} connected to Socket.IO server`);
+  });
+
+  socket.on("disconnect", () => {
+    console.log(`🔌 ${label} disconnected from Socket.IO server`);
+  });
+
+  socket.on("connect_error", (err) => {
+    console.error(`🔌 ${label} connection error:`, err.message);
+  });
+
+  setEmitRelay((room, event, data) => {
+    socket.emit("worker:emit", { room, event, data });
+  });
+
+  return socket;
+}
+
+module.exports = { connectWorkerSocket };
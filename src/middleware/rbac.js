@@ -7,7 +7,8 @@ const ROLE_HIERARCHY = {
   admin: 3,
 };
 
-function requireWorkspaceRole(minRole) {
+// Pass `{ includeDeleted: true }` for routes that act on a workspace in the trash
+function requireWorkspaceRole(minRole, { includeDeleted = false } = {}) {
   return async (req, res, next) => {
     try {
       const workspaceId =
@@ -24,7 +25,9 @@ function requireWorkspaceRole(minRole) {
 
       const { _id } = req.dbUser;
 
-      const workspace = await Workspace.findById(workspaceId);
+      const workspace = await Workspace.findById(workspaceId).setOptions({
+        withDeleted: includeDeleted,
+      });
       if (!workspace) {
         return res.status(404).json({
           message: "Workspace not found",
@@ -0,0 +1,94 @@
+const multer = require("multer");
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const DEFAULT_ALLOWED_TYPES = [
+  "image/*",
+  "application/pdf",
+  "text/plain",
+  "text/markdown",
+  "text/csv",
+  "application/json",
+  "application/zip",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.*",
+];
+
+const getPositiveNumber = (value, fallback) =>
+  Number(value) > 0 ? Number(value) : fallback;
+
+const getAttachmentLimits = () => ({
+  maxBytes: getPositiveNumber(
+    process.env.ATTACHMENT_MAX_BYTES,
+    DEFAULT_MAX_BYTES
+  ),
+  maxFiles: getPositiveNumber(
+    process.env.ATTACHMENT_MAX_FILES,
+    DEFAULT_MAX_FILES
+  ),
+  allowedTypes: process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(",")
+        .map((type) => type.trim().toLowerCase())
+        .filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES,
+});
+
+// Entries are exact types or prefixes ending in "*" ("image/*")
+const isAllowedType = (mimeType, allowedTypes) =>
+  allowedTypes.some((allowed) =>
+    allowed.endsWith("*")
+      ? mimeType.startsWith(allowed.slice(0, -1))
+      : mimeType === allowed
+  );
+
+class UnsupportedTypeError extends Error {}
+
+// Multipart parser for the `files` field. Files are buffered in memory up
+// to the size limit and handed to the storage driver by the route. Errors
+// are answered here: 413 for size and count limits, 415 for types.
+function uploadAttachments(req, res, next) {
+  const { maxBytes, maxFiles, allowedTypes } = getAttachmentLimits();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxFiles, fields: 10 },
+    fileFilter: (req, file, cb) => {
+      const mimeType = (file.mimetype || "").toLowerCase();
+      if (!isAllowedType(mimeType, allowedTypes)) {
+        return cb(
+          new UnsupportedTypeError(`File type ${mimeType} is not allowed`)
+        );
+      }
+      cb(null, true);
+    },
+  }).array("files", maxFiles);
+
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof UnsupportedTypeError) {
+      return res.status(415).json({ message: error.message, allowedTypes });
+    }
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ message: "File is too large", maxBytes });
+    }
+    if (error.code === "LIMIT_FILE_COUNT") {
+      return res
+        .status(413)
+        .json({ message: `Upload at most ${maxFiles} files`, maxFiles });
+    }
+    if (error.code === "LIMIT_UNEXPECTED_FILE") {
+      return res
+        .status(400)
+        .json({ message: 'Upload files in the "files" field' });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error("📎 Upload error:", error);
+    res.status(400).json({ message: "Invalid multipart upload" });
+  });
+}
+
+module.exports = { uploadAttachments, getAttachmentLimits };
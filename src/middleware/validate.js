@@ -1,4 +1,5 @@
 const { z } = require("zod");
+const { decodeCursor } = require("../utils/cursor");
 
 function validate(schema) {
   return (req, res, next) => {
@@ -30,12 +31,82 @@ function validate(schema) {
   };
 }
 
+// Accepts repeated query params (?tag=a&tag=b) or a comma-separated list
+const queryList = (item) =>
+  z.preprocess(
+    (value) =>
+      typeof value === "string" ? value.split(",").filter(Boolean) : value,
+    z.array(item).min(1).max(50)
+  );
+
+const TASK_SORT_KEYS = [
+  "rank",
+  "createdAt",
+  "updatedAt",
+  "dueDate",
+  "priority",
+  "title",
+];
+
 const commonSchemas = {
   mongoId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid MongoDB ObjectId"),
   email: z.string().email("Invalid email format"),
   priority: z.enum(["low", "medium", "high", "critical"]),
-  status: z.enum(["todo", "in_progress", "done"]),
+  status: z
+    .string()
+    .min(1)
+    .max(40)
+    .regex(/^[a-z0-9_]+$/, "Invalid status key"),
+  statusCategory: z.enum(["todo", "active", "done"]),
   role: z.enum(["viewer", "member", "manager", "admin"]),
+  cursor: z
+    .string()
+    .max(500)
+    .transform((value, ctx) => {
+      const cursor = decodeCursor(value);
+      if (!cursor) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Invalid cursor",
+        });
+        return z.NEVER;
+      }
+      return cursor;
+    }),
 };
 
+const userRef = z.union([z.literal("me"), commonSchemas.mongoId]);
+
+// Query strings carry "true"/"false"; saved JSON definitions carry booleans
+const queryBoolean = z.union([
+  z.boolean(),
+  z.enum(["true", "false"]).transform((value) => value === "true"),
+]);
+
+// Task filters shared by the task listing endpoints
+commonSchemas.taskFilters = z.object({
+  status: queryList(commonSchemas.status).optional(),
+  statusCategory: queryList(commonSchemas.statusCategory).optional(),
+  priority: queryList(commonSchemas.priority).optional(),
+  assignee: userRef.optional(),
+  tag: queryList(z.string().min(1).max(50)).optional(),
+  dueFrom: z.coerce.date().optional(),
+  dueTo: z.coerce.date().optional(),
+  createdBy: userRef.optional(),
+  aiProcessed: queryBoolean.optional(),
+  overdue: queryBoolean.optional(),
+});
+
+// "-" prefix sorts descending, e.g. ?sort=-dueDate
+commonSchemas.taskSort = z.enum([
+  ...TASK_SORT_KEYS,
+  ...TASK_SORT_KEYS.map((key) => `-${key}`),
+]);
+
+commonSchemas.taskListQuery = commonSchemas.taskFilters.extend({
+  sort: commonSchemas.taskSort.default("rank"),
+  cursor: commonSchemas.cursor.optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+});
+
 module.exports = { validate, z, commonSchemas };
@@ -0,0 +1,76 @@
+const { Schema, model } = require("mongoose");
+
+const AuditLogSchema = new Schema(
+  {
+    workspaceId: {
+      type: Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: true,
+    },
+    actorId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: [
+        "workspace.updated",
+        "workspace.deleted",
+        "workspace.restored",
+        "member.invited",
+        "member.role_updated",
+        "member.email_updated",
+        "member.removed",
+        "invite.accepted",
+        "invite.declined",
+        "project.created",
+        "project.updated",
+        "project.workflow_updated",
+        "project.deleted",
+        "project.restored",
+      ],
+      required: true,
+    },
+    target: {
+      type: {
+        type: String,
+        enum: ["workspace", "member", "invite", "project"],
+        required: true,
+      },
+      id: { type: Schema.Types.ObjectId, required: true },
+      label: String,
+    },
+    before: Schema.Types.Mixed,
+    after: Schema.Types.Mixed,
+    ip: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ workspaceId: 1, _id: -1 });
+AuditLogSchema.index({ workspaceId: 1, actorId: 1, _id: -1 });
+AuditLogSchema.index({ workspaceId: 1, action: 1, _id: -1 });
+
+// The audit log is append-only
+const rejectMutation = function (next) {
+  next(new Error("Audit log entries cannot be modified or deleted"));
+};
+
+AuditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => AuditLogSchema.pre(operation, rejectMutation));
+
+module.exports = model("AuditLog", AuditLogSchema);
@@ -1,4 +1,5 @@
 const { Schema, model } = require("mongoose");
+const { markdownPlugin } = require("./plugins/markdown");
 
 const CommentSchema = new Schema(
   {
@@ -8,14 +9,30 @@ const CommentSchema = new Schema(
       required: true,
       index: true,
     },
+    // Copied from the task so search can scope comments without a join
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      index: true,
+    },
     authorId: {
       type: Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    // Replies point at a top-level comment; threads are one level deep
+    parentCommentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+      index: true,
+    },
     body: {
       type: String,
-      required: true,
+      // Emptied when a comment with replies is deleted
+      required: function () {
+        return !this.deletedAt;
+      },
     },
     mentions: [
       {
@@ -28,8 +45,38 @@ const CommentSchema = new Schema(
       default: false,
     },
     editedAt: Date,
+    // Previous versions of the body, oldest first
+    editHistory: [
+      {
+        body: String,
+        editedAt: Date,
+        editedBy: { type: Schema.Types.ObjectId, ref: "User" },
+        _id: false,
+      },
+    ],
+    reactions: [
+      {
+        emoji: { type: String, required: true },
+        users: [{ type: Schema.Types.ObjectId, ref: "User" }],
+        _id: false,
+      },
+    ],
+    // Set when a comment that has replies is deleted, so the thread stays
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+CommentSchema.index({ body: "text" }, { name: "comment_text" });
+
+CommentSchema.plugin(markdownPlugin, { field: "body" });
+
 module.exports = model("Comment", CommentSchema);
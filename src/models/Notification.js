@@ -22,6 +22,10 @@ const NotificationSchema = new Schema(
         "project_updated",
         "project_deleted",
         "status_changed",
+        "task_unblocked",
+        "due_soon",
+        "overdue",
+        "overdue_escalation",
         "mention",
       ],
       required: true,
@@ -38,6 +42,29 @@ const NotificationSchema = new Schema(
       actorId: { type: Schema.Types.ObjectId, ref: "User" },
       inviteId: { type: Schema.Types.ObjectId, ref: "Invite" },
     },
+    // Delivery channels resolved from the recipient's preferences when the
+    // notification was created; missing on older notifications (all on)
+    channels: {
+      inApp: Boolean,
+      socket: Boolean,
+      digest: Boolean,
+      email: Boolean,
+    },
+    // Repeated events of one type about one target are collapsed into a
+    // single unread notification while they keep arriving (see notify())
+    groupKey: {
+      type: String,
+      default: null,
+    },
+    eventCount: {
+      type: Number,
+      default: 1,
+    },
+    actors: [{ type: Schema.Types.ObjectId, ref: "User" }],
+    lastEventAt: {
+      type: Date,
+      default: Date.now,
+    },
     read: {
       type: Boolean,
       default: false,
@@ -47,4 +74,10 @@ const NotificationSchema = new Schema(
   { timestamps: { createdAt: true, updatedAt: false } }
 );
 
+NotificationSchema.index({ userId: 1, lastEventAt: -1 });
+NotificationSchema.index(
+  { userId: 1, groupKey: 1, lastEventAt: -1 },
+  { partialFilterExpression: { read: false } }
+);
+
 module.exports = model("Notification", NotificationSchema);
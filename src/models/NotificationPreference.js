@@ -0,0 +1,52 @@
+const { Schema, model } = require("mongoose");
+
+// Channel overrides for one notification type; unset channels fall back to
+// the defaults in the notification service
+const ChannelsSchema = new Schema(
+  {
+    inApp: Boolean,
+    socket: Boolean,
+    digest: Boolean,
+    email: Boolean,
+  },
+  { _id: false }
+);
+
+const NotificationPreferenceSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    types: {
+      type: Map,
+      of: ChannelsSchema,
+      default: {},
+    },
+    // Silences every notification about a project or task, optionally
+    // until a given time
+    mutes: [
+      {
+        targetType: {
+          type: String,
+          enum: ["project", "task"],
+          required: true,
+        },
+        targetId: {
+          type: Schema.Types.ObjectId,
+          required: true,
+        },
+        until: {
+          type: Date,
+          default: null,
+        },
+        _id: false,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+module.exports = model("NotificationPreference", NotificationPreferenceSchema);
@@ -1,4 +1,9 @@
 const { Schema, model } = require("mongoose");
+const { softDeletePlugin } = require("./plugins/soft-delete");
+const {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW_STATUSES,
+} = require("../utils/workflow");
 
 const ProjectSchema = new Schema(
   {
@@ -23,6 +28,37 @@ const ProjectSchema = new Schema(
       enum: ["active", "archived", "completed"],
       default: "active",
     },
+    workflow: {
+      statuses: {
+        type: [
+          {
+            _id: false,
+            key: { type: String, required: true },
+            name: { type: String, required: true },
+            category: {
+              type: String,
+              enum: STATUS_CATEGORIES,
+              required: true,
+            },
+            color: String,
+          },
+        ],
+        default: () => DEFAULT_WORKFLOW_STATUSES.map((s) => ({ ...s })),
+      },
+      // No transitions means any status can move to any other
+      transitions: [
+        {
+          _id: false,
+          from: { type: String, required: true },
+          to: { type: String, required: true },
+          minRole: {
+            type: String,
+            enum: ["viewer", "member", "manager", "admin"],
+          },
+          requireAssignee: { type: Boolean, default: false },
+        },
+      ],
+    },
     createdBy: {
       type: Schema.Types.ObjectId,
       ref: "User",
@@ -44,5 +80,11 @@ ProjectSchema.virtual("taskCount", {
 });
 
 ProjectSchema.index({ workspaceId: 1, key: 1 }, { unique: true });
+ProjectSchema.index(
+  { name: "text", description: "text" },
+  { name: "project_text", weights: { name: 10, description: 1 } }
+);
+
+ProjectSchema.plugin(softDeletePlugin);
 
 module.exports = model("Project", ProjectSchema);
@@ -0,0 +1,68 @@
+const { Schema, model } = require("mongoose");
+
+// Project-level AI analyses; every run is kept so results can be compared
+const ProjectAIReportSchema = new Schema(
+  {
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    workspaceId: {
+      type: Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["critical_path"],
+      default: "critical_path",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "completed", "failed"],
+      default: "pending",
+    },
+    requestedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    summary: String,
+    // Proposed links; `existing` marks ones already set on the tasks
+    dependencies: [
+      {
+        _id: false,
+        taskId: { type: Schema.Types.ObjectId, ref: "Task" },
+        blockedBy: { type: Schema.Types.ObjectId, ref: "Task" },
+        reason: String,
+        existing: { type: Boolean, default: false },
+      },
+    ],
+    criticalPath: [
+      {
+        _id: false,
+        taskId: { type: Schema.Types.ObjectId, ref: "Task" },
+        title: String,
+        estimate: Number,
+        dueDate: Date,
+      },
+    ],
+    totalEstimate: Number,
+    risks: [
+      {
+        _id: false,
+        taskId: { type: Schema.Types.ObjectId, ref: "Task", default: null },
+        level: { type: String, enum: ["low", "medium", "high"] },
+        note: String,
+      },
+    ],
+    taskCount: Number,
+    error: String,
+    completedAt: Date,
+  },
+  { timestamps: true }
+);
+
+ProjectAIReportSchema.index({ projectId: 1, type: 1, createdAt: -1 });
+
+module.exports = model("ProjectAIReport", ProjectAIReportSchema);
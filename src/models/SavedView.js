@@ -0,0 +1,48 @@
+const { Schema, model } = require("mongoose");
+
+const SavedViewSchema = new Schema(
+  {
+    workspaceId: {
+      type: Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: true,
+      index: true,
+    },
+    // Optional: limit the view to a single project
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
+    ownerId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    visibility: {
+      type: String,
+      enum: ["private", "workspace"],
+      default: "private",
+    },
+    // Same shape as the task listing filters; "me" resolves to whoever
+    // opens the view
+    filters: {
+      type: Schema.Types.Mixed,
+      default: () => ({}),
+    },
+    sort: {
+      type: String,
+      default: "rank",
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+SavedViewSchema.index({ workspaceId: 1, visibility: 1 });
+
+module.exports = model("SavedView", SavedViewSchema);
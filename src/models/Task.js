@@ -1,4 +1,7 @@
 const { Schema, model } = require("mongoose");
+const { softDeletePlugin } = require("./plugins/soft-delete");
+const { markdownPlugin } = require("./plugins/markdown");
+const { STATUS_CATEGORIES } = require("../utils/workflow");
 
 const TaskSchema = new Schema(
   {
@@ -8,6 +11,24 @@ const TaskSchema = new Schema(
       required: true,
       index: true,
     },
+    parentTaskId: {
+      type: Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+      index: true,
+    },
+    subtaskOrder: {
+      type: Number,
+      default: 0,
+    },
+    // Tasks in the same workspace that must be done before this one
+    blockedBy: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Task",
+        index: true,
+      },
+    ],
     title: {
       type: String,
       required: true,
@@ -24,26 +45,61 @@ const TaskSchema = new Schema(
       enum: ["low", "medium", "high", "critical"],
       default: "medium",
     },
+    // Key of one of the project's workflow statuses
     status: {
       type: String,
-      enum: ["todo", "in_progress", "done"],
       default: "todo",
     },
+    statusCategory: {
+      type: String,
+      enum: STATUS_CATEGORIES,
+      default: "todo",
+      index: true,
+    },
     dueDate: Date,
+    // What has been sent for `dueDate`; stale once the due date changes
+    dueReminders: {
+      forDueDate: Date,
+      dueSoonHours: [Number],
+      overdueAt: Date,
+      escalatedAt: Date,
+    },
     estimate: Number,
     progress: Number,
     tags: [String],
+    // Files kept by the storage driver named in `storage`; `url` is only set
+    // on legacy link attachments
     attachments: [
       {
-        url: String,
-        type: String,
-        name: String,
+        name: { type: String, required: true },
+        mimeType: String,
         size: Number,
+        storageKey: String,
+        storage: String,
+        url: String,
+        uploadedBy: {
+          type: Schema.Types.ObjectId,
+          ref: "User",
+        },
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
       },
     ],
     ai: {
       type: {
         summary: String,
+        // Attachments cited in the summary as [A1], [A2], ...
+        summarySources: [
+          {
+            _id: false,
+            ref: String,
+            attachmentId: Schema.Types.ObjectId,
+            name: String,
+            pages: [Number],
+          },
+        ],
         suggestedSubtasks: [String],
         suggestedPriority: {
           type: String,
@@ -59,16 +115,36 @@ const TaskSchema = new Schema(
       ref: "User",
       required: true,
     },
-    order: {
-      type: Number,
-      default: 6,
-      min: 1,
-      max: 6,
+    // Lexicographic position inside the project's status column
+    rank: {
+      type: String,
+      default: null,
     },
+    // Set on instances created from a recurring TaskTemplate
+    templateId: {
+      type: Schema.Types.ObjectId,
+      ref: "TaskTemplate",
+      default: null,
+    },
+    occurrenceAt: Date,
   },
   { timestamps: true }
 );
 
+TaskSchema.index({ projectId: 1, status: 1, rank: 1 });
+// One instance per template occurrence, even if a run is retried
+TaskSchema.index(
+  { templateId: 1, occurrenceAt: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { templateId: { $type: "objectId" } },
+  }
+);
+TaskSchema.index(
+  { title: "text", tags: "text", description: "text" },
+  { name: "task_text", weights: { title: 10, tags: 5, description: 1 } }
+);
+
 TaskSchema.virtual("workspaceId", {
   ref: "Project",
   localField: "_id",
@@ -76,4 +152,7 @@ TaskSchema.virtual("workspaceId", {
   count: true,
 });
 
+TaskSchema.plugin(softDeletePlugin);
+TaskSchema.plugin(markdownPlugin, { field: "description" });
+
 module.exports = model("Task", TaskSchema);
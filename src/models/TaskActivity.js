@@ -0,0 +1,56 @@
+const { Schema, model } = require("mongoose");
+
+const TaskActivitySchema = new Schema(
+  {
+    taskId: {
+      type: Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    workspaceId: {
+      type: Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: true,
+    },
+    actorId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actorType: {
+      type: String,
+      enum: ["user", "ai", "system"],
+      default: "user",
+    },
+    action: {
+      type: String,
+      enum: [
+        "created",
+        "updated",
+        "moved",
+        "deleted",
+        "restored",
+        "attachment_added",
+        "attachment_removed",
+        "ai_summary",
+        "ai_subtasks",
+        "ai_priority",
+      ],
+      required: true,
+    },
+    // { field: { from, to } } for every field touched by the action
+    changes: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, minimize: false }
+);
+
+TaskActivitySchema.index({ taskId: 1, _id: -1 });
+
+module.exports = model("TaskActivity", TaskActivitySchema);
@@ -0,0 +1,79 @@
+const { Schema, model } = require("mongoose");
+const { WEEKDAYS } = require("../utils/recurrence");
+
+// Blueprint for a recurring task; the maintenance worker creates a Task from
+// it at every occurrence of `recurrence`
+const TaskTemplateSchema = new Schema(
+  {
+    workspaceId: {
+      type: Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: true,
+      index: true,
+    },
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    description: String,
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "critical"],
+      default: "medium",
+    },
+    assignees: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    tags: [String],
+    estimate: Number,
+    // Due date of each instance, in days after its occurrence
+    dueInDays: Number,
+    recurrence: {
+      freq: {
+        type: String,
+        enum: ["daily", "weekly", "monthly"],
+        required: true,
+      },
+      interval: { type: Number, default: 1 },
+      byWeekday: [{ type: String, enum: WEEKDAYS }],
+      byMonthDay: Number,
+      // Local wall-clock time and dates in the workspace time zone
+      time: { type: String, default: "09:00" },
+      startDate: { type: String, required: true },
+      until: String,
+      count: Number,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: Date,
+    occurrences: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+TaskTemplateSchema.index({ active: 1, nextRunAt: 1 });
+
+module.exports = model("TaskTemplate", TaskTemplateSchema);
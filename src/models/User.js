@@ -23,6 +23,19 @@ const UserSchema = new Schema(
       default: false,
     },
     provider: { type: String, enum: ["password", "google.com", "github.com"] },
+    // Email digest schedule; `hour` and `weekday` (0 = Sunday) are local to
+    // `timezone`
+    digest: {
+      frequency: {
+        type: String,
+        enum: ["off", "daily", "weekly"],
+        default: "off",
+      },
+      hour: { type: Number, min: 0, max: 23, default: 8 },
+      weekday: { type: Number, min: 0, max: 6, default: 1 },
+      timezone: { type: String, default: "UTC" },
+      lastSentAt: Date,
+    },
   },
   { timestamps: true }
 );
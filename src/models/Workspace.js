@@ -1,4 +1,5 @@
 const { Schema, model } = require("mongoose");
+const { softDeletePlugin } = require("./plugins/soft-delete");
 
 const WorkspaceSchema = new Schema(
   {
@@ -38,9 +39,19 @@ const WorkspaceSchema = new Schema(
       timezone: { type: String, default: "Europe/Istanbul" },
       allowInvites: { type: Boolean, default: true },
       aiModel: { type: String, default: "Gemini" },
+      // Due-date reminders sent by the maintenance worker
+      reminders: {
+        enabled: { type: Boolean, default: true },
+        // Hours before the due date at which assignees get a due_soon notice
+        dueSoonHours: { type: [Number], default: () => [24] },
+        // Days overdue before managers are notified; 0 disables escalation
+        escalateAfterDays: { type: Number, default: 2 },
+      },
     },
   },
   { timestamps: true }
 );
 
+WorkspaceSchema.plugin(softDeletePlugin);
+
 module.exports = model("Workspace", WorkspaceSchema);
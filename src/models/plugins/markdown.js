@@ -0,0 +1,53 @@
+const { renderMarkdown } = require("../../utils/markdown");
+
+const UPDATE_OPERATIONS = ["findOneAndUpdate", "updateOne", "updateMany"];
+
+// Keeps `<field>Html` (sanitized HTML), `<field>Links` and `<field>Mentions`
+// (the raw @handles, as comment mentions are parsed) in sync with a Markdown
+// source field, on saves and on updates that set the field
+function markdownPlugin(schema, { field }) {
+  const htmlField = `${field}Html`;
+  const linksField = `${field}Links`;
+  const mentionsField = `${field}Mentions`;
+
+  schema.add({
+    [htmlField]: { type: String, default: "" },
+    [linksField]: { type: [String], default: [] },
+    [mentionsField]: { type: [String], default: [] },
+  });
+
+  const rendered = (source) => {
+    const { html, links, mentions } = renderMarkdown(source);
+    return {
+      [htmlField]: html,
+      [linksField]: links,
+      [mentionsField]: mentions,
+    };
+  };
+
+  schema.pre("save", function () {
+    if (this.isNew || this.isModified(field)) {
+      this.set(rendered(this.get(field)));
+    }
+  });
+
+  schema.pre("insertMany", function (next, docs) {
+    for (const doc of [].concat(docs)) {
+      if (doc[field] !== undefined) Object.assign(doc, rendered(doc[field]));
+    }
+    next();
+  });
+
+  schema.pre(UPDATE_OPERATIONS, function () {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) return;
+
+    const source =
+      update.$set?.[field] !== undefined ? update.$set[field] : update[field];
+    if (source === undefined) return;
+
+    update.$set = { ...update.$set, ...rendered(source) };
+  });
+}
+
+module.exports = { markdownPlugin };
@@ -0,0 +1,46 @@
+const { Schema } = require("mongoose");
+
+const READ_OPERATIONS = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "countDocuments",
+  "distinct",
+  "updateOne",
+  "updateMany",
+];
+
+// Adds deletedAt/deletedBy/deletedWith and hides deleted documents from
+// every query and aggregation. Pass `{ withDeleted: true }` through
+// setOptions()/option() to see them, or filter on `deletedAt` explicitly.
+function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    // Root document whose deletion cascaded to this one (null for the root)
+    deletedWith: { type: Schema.Types.ObjectId, default: null },
+  });
+
+  schema.pre(READ_OPERATIONS, function () {
+    if (this.getOptions().withDeleted) return;
+    if (this.getFilter().deletedAt !== undefined) return;
+
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+
+    const pipeline = this.pipeline();
+    const firstMatch = pipeline[0]?.$match;
+
+    // Merge into a leading $match so stages like $text stay first
+    if (firstMatch) {
+      if (firstMatch.deletedAt === undefined) firstMatch.deletedAt = null;
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+}
+
+module.exports = { softDeletePlugin };
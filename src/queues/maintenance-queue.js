@@ -0,0 +1,22 @@
+const { Queue } = require("bullmq");
+
+const maintenanceQueue = new Queue("maintenance", {
+  connection: {
+    url: process.env.REDIS_URL || "redis://localhost:6379",
+  },
+  defaultJobOptions: {
+    removeOnComplete: 10,
+    removeOnFail: 5,
+    attempts: 3,
+    backoff: {
+      type: "exponential",
+      delay: 5000,
+    },
+  },
+});
+
+maintenanceQueue.on("failed", (job, err) => {
+  console.error(`❌ Maintenance job ${job.id} failed: ${job.name}`, err);
+});
+
+module.exports = { maintenanceQueue };
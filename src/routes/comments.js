@@ -1,63 +1,178 @@
 const express = require("express");
 const router = express.Router();
 const Comment = require("../models/Comment");
-const User = require("../models/User");
-const Task = require("../models/Task");
-const Notification = require("../models/Notification");
-const { requireWorkspaceRole } = require("../middleware/rbac");
+const { notify } = require("../lib/notification-service");
+const { requireWorkspaceRole, ROLE_HIERARCHY } = require("../middleware/rbac");
 const { validate, z, commonSchemas } = require("../middleware/validate");
+const { emitToRoom } = require("../workers/socketManager");
+const { resolveMentions } = require("../utils/mentions");
+const { findTaskInWorkspace } = require("../utils/task-query");
+
+const MAX_EDIT_HISTORY = 50;
+
+const emoji = z
+  .string()
+  .max(16)
+  .regex(
+    /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u,
+    "Invalid emoji"
+  )
+  .refine(
+    (value) => /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(value),
+    "Invalid emoji"
+  );
 
 const createCommentSchema = z.object({
   body: z.object({
     taskId: commonSchemas.mongoId,
     body: z.string().min(1).max(2000),
-    mentions: z.array(commonSchemas.mongoId).optional(),
+    // Optional extra mentions; @tokens in the body are resolved on the server
+    mentions: z.array(commonSchemas.mongoId).max(50).optional(),
+    parentCommentId: commonSchemas.mongoId.optional(),
+  }),
+});
+
+const updateCommentSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  body: z.object({
+    body: z.string().min(1).max(2000),
+    mentions: z.array(commonSchemas.mongoId).max(50).optional(),
+  }),
+});
+
+const commentParamsSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
   }),
 });
 
+const reactionSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  body: z.object({
+    emoji,
+  }),
+});
+
+const populateComment = (query) =>
+  query
+    .populate("authorId", "_id name email avatarUrl")
+    .populate("mentions", "_id name email avatarUrl");
+
+// Parsed @mentions plus any ids sent by the client, limited to members
+async function resolveMentionIds(body, workspace, extraIds = []) {
+  const memberIds = new Set(workspace.members.map((m) => m.uid.toString()));
+  const mentionedUsers = await resolveMentions(body, workspace);
+
+  return [
+    ...new Set([
+      ...mentionedUsers.map((u) => u._id.toString()),
+      ...extraIds.filter((id) => memberIds.has(id)),
+    ]),
+  ];
+}
+
+// The comment and its task, or null when either is missing, the comment was
+// deleted or the task belongs to another workspace
+async function findCommentInWorkspace(commentId, workspaceId) {
+  const comment = await Comment.findOne({ _id: commentId, deletedAt: null });
+  if (!comment) return null;
+
+  const task = await findTaskInWorkspace(comment.taskId, workspaceId);
+  return task ? { comment, task } : null;
+}
+
+// Authors manage their own comments; managers and admins moderate all
+const canManageComment = (req, comment) =>
+  comment.authorId.toString() === req.dbUser._id.toString() ||
+  ROLE_HIERARCHY[req.membership.role] >= ROLE_HIERARCHY.manager;
+
 router.post(
   "/",
   validate(createCommentSchema),
   requireWorkspaceRole("member"),
   async (req, res) => {
     try {
-      const { taskId, body, mentions } = req.validated.body;
+      const { taskId, body, mentions, parentCommentId } = req.validated.body;
+
+      const task = await findTaskInWorkspace(taskId, req.workspace._id);
+      if (!task) {
+        return res.status(404).json({
+          message: "Task not found",
+        });
+      }
+
+      let parent = null;
+      if (parentCommentId) {
+        parent = await Comment.findOne({
+          _id: parentCommentId,
+          taskId,
+          deletedAt: null,
+        });
+        if (!parent) {
+          return res.status(404).json({
+            message: "Parent comment not found",
+          });
+        }
+
+        // Replying to a reply continues the same thread
+        if (parent.parentCommentId) {
+          parent = await Comment.findById(parent.parentCommentId);
+        }
+      }
+
+      const mentionIds = await resolveMentionIds(body, req.workspace, mentions);
 
       const comment = await Comment.create({
         taskId,
+        projectId: task.projectId,
+        parentCommentId: parent?._id || null,
         body,
         authorId: req.dbUser._id,
-        mentions: mentions || [],
-      });
-
-      const populatedComment = await Comment.findById(comment._id)
-        .populate("authorId", "_id name email avatarUrl")
-        .populate("mentions", "_id name email avatarUrl");
-
-      const task = await Task.findById({ _id: taskId })
-        .populate("createdBy", "_id name email avatarUrl")
-        .populate("assignees", "_id name email avatarUrl");
-
-      const assignees = task.assignees || [];
-      let notification;
-
-      for (const assignee of assignees) {
-        if (assignee._id.toString() !== req.dbUser._id.toString()) {
-          notification = new Notification({
-            userId: assignee._id,
-            type: "new_comment",
-            title: "New Comment",
-            message: `New comment on "${task.title}" task was added by ${req.dbUser.name}.`,
-            payload: {
-              taskId: task._id,
-              projectId: task.projectId,
-              workspaceId: task.workspaceId,
-              actorId: req.dbUser._id,
-            },
-          });
-        }
-        await notification.save();
-      }
+        mentions: mentionIds,
+      });
+
+      const populatedComment = await populateComment(
+        Comment.findById(comment._id)
+      );
+
+      const payload = {
+        taskId: task._id,
+        projectId: task.projectId,
+        workspaceId: req.workspace._id,
+      };
+
+      await notify({
+        type: "mention",
+        actor: req.dbUser,
+        recipients: mentionIds,
+        title: "You Were Mentioned",
+        message: `${req.dbUser.name} mentioned you in a comment on "${task.title}".`,
+        payload,
+      });
+
+      // Mentioned users already got the mention
+      await notify({
+        type: "new_comment",
+        actor: req.dbUser,
+        recipients: [...task.assignees, parent?.authorId].filter(
+          (userId) => userId && !mentionIds.includes(userId.toString())
+        ),
+        title: "New Comment",
+        message: `New comment on "${task.title}" task was added by ${req.dbUser.name}.`,
+        payload,
+        group: { verb: "commented on", target: `"${task.title}"` },
+      });
+
+      emitToRoom(`project:${task.projectId}`, "comment:created", {
+        comment: populatedComment,
+        taskId: task._id,
+        projectId: task.projectId,
+        actorId: req.dbUser._id,
+      });
 
       res.status(201).json({
         success: true,
@@ -79,10 +194,17 @@ router.get(
     try {
       const { taskId } = req.params;
 
-      const comments = await Comment.find({ taskId })
-        .populate("authorId", "_id name email avatarUrl")
-        .populate("mentions", "_id name email avatarUrl")
-        .sort({ createdAt: 1 });
+      const task = await findTaskInWorkspace(taskId, req.workspace._id);
+      if (!task) {
+        return res.status(404).json({
+          message: "Task not found",
+        });
+      }
+
+      // Flat and oldest first; replies carry their parentCommentId
+      const comments = await populateComment(
+        Comment.find({ taskId }).select("-editHistory")
+      ).sort({ createdAt: 1 });
 
       res.json({
         success: true,
@@ -97,4 +219,269 @@ router.get(
   }
 );
 
+router.patch(
+  "/:id",
+  validate(updateCommentSchema),
+  requireWorkspaceRole("member"),
+  async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      const { body, mentions } = req.validated.body;
+
+      const found = await findCommentInWorkspace(id, req.workspace._id);
+      if (!found) {
+        return res.status(404).json({
+          message: "Comment not found",
+        });
+      }
+
+      const { comment, task } = found;
+      if (!canManageComment(req, comment)) {
+        return res.status(403).json({
+          message: "Only the author or a manager can edit this comment",
+        });
+      }
+
+      const previousMentions = comment.mentions.map((m) => m.toString());
+      const mentionIds = await resolveMentionIds(body, req.workspace, mentions);
+
+      if (body !== comment.body) {
+        const now = new Date();
+        comment.editHistory.push({
+          body: comment.body,
+          editedAt: now,
+          editedBy: req.dbUser._id,
+        });
+        if (comment.editHistory.length > MAX_EDIT_HISTORY) {
+          comment.editHistory.splice(
+            0,
+            comment.editHistory.length - MAX_EDIT_HISTORY
+          );
+        }
+        comment.body = body;
+        comment.isEdited = true;
+        comment.editedAt = now;
+      }
+      comment.mentions = mentionIds;
+      await comment.save();
+
+      const populatedComment = await populateComment(
+        Comment.findById(comment._id).select("-editHistory")
+      );
+
+      // Only people who weren't mentioned before hear about the edit
+      await notify({
+        type: "mention",
+        actor: req.dbUser,
+        recipients: mentionIds.filter((id) => !previousMentions.includes(id)),
+        title: "You Were Mentioned",
+        message: `${req.dbUser.name} mentioned you in a comment on "${task.title}".`,
+        payload: {
+          taskId: task._id,
+          projectId: task.projectId,
+          workspaceId: req.workspace._id,
+        },
+      });
+
+      emitToRoom(`project:${task.projectId}`, "comment:updated", {
+        comment: populatedComment,
+        taskId: task._id,
+        projectId: task.projectId,
+        actorId: req.dbUser._id,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: populatedComment,
+      });
+    } catch (error) {
+      console.error("💬 Update comment error:", error);
+      res.status(500).json({
+        message: "Failed to update comment",
+      });
+    }
+  }
+);
+
+router.delete(
+  "/:id",
+  validate(commentParamsSchema),
+  requireWorkspaceRole("member"),
+  async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+
+      const found = await findCommentInWorkspace(id, req.workspace._id);
+      if (!found) {
+        return res.status(404).json({
+          message: "Comment not found",
+        });
+      }
+
+      const { comment, task } = found;
+      if (!canManageComment(req, comment)) {
+        return res.status(403).json({
+          message: "Only the author or a manager can delete this comment",
+        });
+      }
+
+      const deletedIds = [comment._id];
+      let tombstone = false;
+
+      if (await Comment.exists({ parentCommentId: comment._id })) {
+        // Keep an empty placeholder so the replies keep their thread
+        await Comment.updateOne(
+          { _id: comment._id },
+          {
+            $set: {
+              body: "",
+              mentions: [],
+              reactions: [],
+              editHistory: [],
+              deletedAt: new Date(),
+              deletedBy: req.dbUser._id,
+            },
+          }
+        );
+        tombstone = true;
+      } else {
+        await Comment.deleteOne({ _id: comment._id });
+
+        // A deleted parent goes away with its last reply
+        if (comment.parentCommentId) {
+          const parent = await Comment.findById(comment.parentCommentId);
+          if (
+            parent?.deletedAt &&
+            !(await Comment.exists({ parentCommentId: parent._id }))
+          ) {
+            await Comment.deleteOne({ _id: parent._id });
+            deletedIds.push(parent._id);
+          }
+        }
+      }
+
+      emitToRoom(`project:${task.projectId}`, "comment:deleted", {
+        commentId: comment._id,
+        removedCommentIds: deletedIds,
+        tombstone,
+        taskId: task._id,
+        projectId: task.projectId,
+        actorId: req.dbUser._id,
+      });
+
+      res.status(204).json({
+        success: true,
+        data: null,
+      });
+    } catch (error) {
+      console.error("💬 Delete comment error:", error);
+      res.status(500).json({
+        message: "Failed to delete comment",
+      });
+    }
+  }
+);
+
+router.get(
+  "/:id/history",
+  validate(commentParamsSchema),
+  requireWorkspaceRole("member"),
+  async (req, res) => {
+    try {
+      const found = await findCommentInWorkspace(
+        req.validated.params.id,
+        req.workspace._id
+      );
+      if (!found) {
+        return res.status(404).json({
+          message: "Comment not found",
+        });
+      }
+
+      await found.comment.populate("editHistory.editedBy", "_id name email");
+
+      res.json({
+        success: true,
+        data: found.comment.editHistory,
+      });
+    } catch (error) {
+      console.error("💬 Get comment history error:", error);
+      res.status(500).json({
+        message: "Failed to fetch comment history",
+      });
+    }
+  }
+);
+
+// Adds the user's reaction, or removes it if they already reacted with it
+router.post(
+  "/:id/reactions",
+  validate(reactionSchema),
+  requireWorkspaceRole("member"),
+  async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      const { emoji } = req.validated.body;
+      const userId = req.dbUser._id;
+
+      const found = await findCommentInWorkspace(id, req.workspace._id);
+      if (!found) {
+        return res.status(404).json({
+          message: "Comment not found",
+        });
+      }
+
+      const { task } = found;
+      const reacted = await Comment.exists({
+        _id: id,
+        reactions: { $elemMatch: { emoji, users: userId } },
+      });
+
+      if (reacted) {
+        await Comment.updateOne(
+          { _id: id, "reactions.emoji": emoji },
+          { $pull: { "reactions.$.users": userId } }
+        );
+        await Comment.updateOne(
+          { _id: id },
+          { $pull: { reactions: { users: { $size: 0 } } } }
+        );
+      } else {
+        const { matchedCount } = await Comment.updateOne(
+          { _id: id, "reactions.emoji": emoji },
+          { $addToSet: { "reactions.$.users": userId } }
+        );
+        if (matchedCount === 0) {
+          await Comment.updateOne(
+            { _id: id, "reactions.emoji": { $ne: emoji } },
+            { $push: { reactions: { emoji, users: [userId] } } }
+          );
+        }
+      }
+
+      const { reactions } = await Comment.findById(id).select("reactions");
+
+      emitToRoom(`project:${task.projectId}`, "comment:reaction", {
+        commentId: id,
+        emoji,
+        reacted: !reacted,
+        reactions,
+        taskId: task._id,
+        projectId: task.projectId,
+        actorId: userId,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: { reacted: !reacted, reactions },
+      });
+    } catch (error) {
+      console.error("💬 Toggle reaction error:", error);
+      res.status(500).json({
+        message: "Failed to update reaction",
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,47 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getStorage,
+  contentDisposition,
+  verifyDownloadToken,
+} = require("../lib/storage");
+
+// Signed download links issued by the local storage driver. The token is
+// the credential, so this route is mounted before authentication.
+router.get("/:token", async (req, res) => {
+  const file = verifyDownloadToken(req.params.token);
+  if (!file) {
+    return res.status(403).json({
+      message: "Download link is invalid or has expired",
+    });
+  }
+
+  try {
+    const stream = await getStorage().getStream(file.key);
+
+    stream.once("error", (error) => {
+      if (error.code === "ENOENT" && !res.headersSent) {
+        return res.status(404).json({ message: "File not found" });
+      }
+      console.error("📎 File download error:", error);
+      res.destroy(error);
+    });
+    stream.once("open", () => {
+      res.set({
+        "Content-Type": file.contentType || "application/octet-stream",
+        "Content-Disposition": contentDisposition(file.filename),
+        "Cache-Control": "private, no-store",
+        "X-Content-Type-Options": "nosniff",
+        "Cross-Origin-Resource-Policy": "cross-origin",
+      });
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error("📎 File download error:", error);
+    res.status(500).json({
+      message: "Failed to download file",
+    });
+  }
+});
+
+module.exports = router;
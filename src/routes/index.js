@@ -3,11 +3,16 @@ const router = express.Router();
 const { firebaseAuthMiddleware } = require("../middleware/auth");
 
 router.use("/auth", require("./auth"));
+// Signed, expiring download links carry their own authorization
+router.use("/files", require("./files"));
 router.use(firebaseAuthMiddleware);
 router.use("/workspaces", require("./workspaces"));
 router.use("/projects", require("./projects"));
 router.use("/tasks", require("./tasks"));
 router.use("/comments", require("./comments"));
 router.use("/notifications", require("./notifications"));
+router.use("/search", require("./search"));
+router.use("/views", require("./views"));
+router.use("/task-templates", require("./task-templates"));
 
 module.exports = router;
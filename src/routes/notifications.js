@@ -1,16 +1,124 @@
 const express = require("express");
 const router = express.Router();
+const { z } = require("zod");
 const Notification = require("../models/Notification");
+const User = require("../models/User");
+const NotificationPreference = require("../models/NotificationPreference");
+const { pushNotificationSync } = require("../lib/notification-push");
+const {
+  CHANNELS,
+  NOTIFICATION_TYPES,
+  describePreferences,
+} = require("../lib/notification-service");
+const { validate, commonSchemas } = require("../middleware/validate");
+const { isValidTimeZone } = require("../utils/timezone");
+const { encodeCursor } = require("../utils/cursor");
+const {
+  getLastScheduledAt,
+  buildDigest,
+  renderDigest,
+} = require("../utils/digest");
 
-router.get("/", async (req, res) => {
+const updateDigestSchema = z.object({
+  body: z.object({
+    frequency: z.enum(["off", "daily", "weekly"]).optional(),
+    hour: z.number().int().min(0).max(23).optional(),
+    weekday: z.number().int().min(0).max(6).optional(),
+    timezone: z
+      .string()
+      .refine(isValidTimeZone, "Invalid IANA time zone")
+      .optional(),
+  }),
+});
+
+const previewDigestSchema = z.object({
+  query: z.object({
+    format: z.enum(["json", "html", "text"]).default("json"),
+  }),
+});
+
+const channelOverrides = z
+  .object(Object.fromEntries(CHANNELS.map((c) => [c, z.boolean().optional()])))
+  .strict();
+
+const updatePreferencesSchema = z.object({
+  body: z.object({
+    types: z.record(z.enum(NOTIFICATION_TYPES), channelOverrides),
+  }),
+});
+
+const muteTargetSchema = z.object({
+  targetType: z.enum(["project", "task"]),
+  targetId: commonSchemas.mongoId,
+});
+
+const muteSchema = z.object({
+  body: muteTargetSchema.extend({
+    until: z.coerce.date().optional(),
+  }),
+});
+
+const unmuteSchema = z.object({
+  params: muteTargetSchema,
+});
+
+const NOTIFICATION_SORT = "lastEventAt";
+
+const listNotificationsSchema = z.object({
+  query: z.object({
+    cursor: commonSchemas.cursor.optional(),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+  }),
+});
+
+// Newest activity first; grouped notifications move up when they get a new
+// event. Notifications older than grouping have no lastEventAt.
+const sortAtExpression = { $ifNull: ["$lastEventAt", "$createdAt"] };
+
+router.get("/", validate(listNotificationsSchema), async (req, res) => {
   try {
-    const notifications = await Notification.find({ userId: req.dbUser._id })
-      .populate("payload.actorId", "_id name email avatarUrl")
-      .sort({ createdAt: -1 })
-      .limit(50);
+    const { cursor, limit } = req.validated.query;
 
-    const unreadCount = await Notification.countDocuments({
+    if (cursor && cursor.sort !== NOTIFICATION_SORT) {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+
+    const match = {
       userId: req.dbUser._id,
+      "channels.inApp": { $ne: false },
+    };
+
+    const pipeline = [
+      { $match: match },
+      { $addFields: { _sortValue: sortAtExpression } },
+    ];
+    if (cursor) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { _sortValue: { $lt: cursor.value } },
+            { _sortValue: cursor.value, _id: { $lt: cursor.id } },
+          ],
+        },
+      });
+    }
+    pipeline.push(
+      { $sort: { _sortValue: -1, _id: -1 } },
+      { $limit: limit + 1 }
+    );
+
+    const notifications = await Notification.aggregate(pipeline);
+    const hasMore = notifications.length > limit;
+    const page = hasMore ? notifications.slice(0, limit) : notifications;
+    const last = page[page.length - 1];
+
+    await Notification.populate(page, [
+      { path: "payload.actorId", select: "_id name email avatarUrl" },
+      { path: "actors", select: "_id name avatarURL" },
+    ]);
+
+    const unreadCount = await Notification.countDocuments({
+      ...match,
       read: false,
     });
 
@@ -18,7 +126,14 @@ router.get("/", async (req, res) => {
       success: true,
       data: {
         length: unreadCount,
-        data: notifications,
+        data: page.map(({ _sortValue, ...notification }) => notification),
+        nextCursor: hasMore
+          ? encodeCursor({
+              sort: NOTIFICATION_SORT,
+              value: last._sortValue,
+              id: last._id,
+            })
+          : null,
       },
     });
   } catch (error) {
@@ -29,6 +144,175 @@ router.get("/", async (req, res) => {
   }
 });
 
+router.get("/digest", async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.dbUser.digest,
+  });
+});
+
+router.patch("/digest", validate(updateDigestSchema), async (req, res) => {
+  try {
+    const update = {};
+    for (const [key, value] of Object.entries(req.validated.body)) {
+      if (value !== undefined) update[`digest.${key}`] = value;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.dbUser._id,
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: user.digest,
+    });
+  } catch (error) {
+    console.error("📧 Update digest preferences error:", error);
+    res.status(500).json({
+      message: "Failed to update digest preferences",
+    });
+  }
+});
+
+// What the next digest would contain if it were sent now
+router.get(
+  "/digest/preview",
+  validate(previewDigestSchema),
+  async (req, res) => {
+    try {
+      const { format } = req.validated.query;
+      const digest = await buildDigest(req.dbUser);
+
+      if (format === "html") {
+        return res.status(200).type("html").send(renderDigest(digest).html);
+      }
+      if (format === "text") {
+        return res.status(200).type("text").send(renderDigest(digest).text);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...digest,
+          lastScheduledAt: getLastScheduledAt(req.dbUser.digest),
+          rendered: renderDigest(digest),
+        },
+      });
+    } catch (error) {
+      console.error("📧 Preview digest error:", error);
+      res.status(500).json({
+        message: "Failed to build digest preview",
+      });
+    }
+  }
+);
+
+router.get("/preferences", async (req, res) => {
+  try {
+    const preference = await NotificationPreference.findOne({
+      userId: req.dbUser._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: describePreferences(preference),
+    });
+  } catch (error) {
+    console.error("🔔 Get notification preferences error:", error);
+    res.status(500).json({
+      message: "Failed to fetch notification preferences",
+    });
+  }
+});
+
+router.patch(
+  "/preferences",
+  validate(updatePreferencesSchema),
+  async (req, res) => {
+    try {
+      const update = {};
+      for (const [type, channels] of Object.entries(req.validated.body.types)) {
+        for (const [channel, enabled] of Object.entries(channels)) {
+          if (enabled !== undefined)
+            update[`types.${type}.${channel}`] = enabled;
+        }
+      }
+
+      const preference = await NotificationPreference.findOneAndUpdate(
+        { userId: req.dbUser._id },
+        { $set: update },
+        { new: true, upsert: true }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: describePreferences(preference),
+      });
+    } catch (error) {
+      console.error("🔔 Update notification preferences error:", error);
+      res.status(500).json({
+        message: "Failed to update notification preferences",
+      });
+    }
+  }
+);
+
+router.post("/mutes", validate(muteSchema), async (req, res) => {
+  try {
+    const { targetType, targetId, until } = req.validated.body;
+
+    // Muting the same target again replaces the previous mute
+    await NotificationPreference.updateOne(
+      { userId: req.dbUser._id },
+      { $pull: { mutes: { targetType, targetId } } },
+      { upsert: true }
+    );
+    const preference = await NotificationPreference.findOneAndUpdate(
+      { userId: req.dbUser._id },
+      { $push: { mutes: { targetType, targetId, until: until || null } } },
+      { new: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: describePreferences(preference),
+    });
+  } catch (error) {
+    console.error("🔔 Mute notifications error:", error);
+    res.status(500).json({
+      message: "Failed to mute notifications",
+    });
+  }
+});
+
+router.delete(
+  "/mutes/:targetType/:targetId",
+  validate(unmuteSchema),
+  async (req, res) => {
+    try {
+      const { targetType, targetId } = req.validated.params;
+
+      const preference = await NotificationPreference.findOneAndUpdate(
+        { userId: req.dbUser._id },
+        { $pull: { mutes: { targetType, targetId } } },
+        { new: true }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: describePreferences(preference),
+      });
+    } catch (error) {
+      console.error("🔔 Unmute notifications error:", error);
+      res.status(500).json({
+        message: "Failed to unmute notifications",
+      });
+    }
+  }
+);
+
 router.delete("/", async (req, res) => {
   try {
     const notification = await Notification.deleteMany({
@@ -41,6 +325,8 @@ router.delete("/", async (req, res) => {
       });
     }
 
+    await pushNotificationSync(req.dbUser, "notification:cleared");
+
     res.status(204).json({
       success: true,
       data: null,
@@ -66,6 +352,10 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    await pushNotificationSync(req.dbUser, "notification:deleted", {
+      notificationId: notification._id,
+    });
+
     res.status(204).json({
       success: true,
       data: null,
@@ -95,6 +385,11 @@ router.patch("/:id/read", async (req, res) => {
       });
     }
 
+    await pushNotificationSync(req.dbUser, "notification:read", {
+      notificationId: notification._id,
+      readAt: notification.readAt,
+    });
+
     res.status(200).json({
       success: true,
       data: notification,
@@ -123,6 +418,8 @@ router.patch("/mark-all-read", async (req, res) => {
       });
     }
 
+    await pushNotificationSync(req.dbUser, "notification:read_all");
+
     res.status(200).json({
       success: true,
       data: notifications,
@@ -3,10 +3,19 @@ const crypto = require("crypto");
 const router = express.Router();
 const Project = require("../models/Project");
 const Task = require("../models/Task");
-const Notification = require("../models/Notification");
+const { notify } = require("../lib/notification-service");
 const Workspace = require("../models/Workspace");
 const { requireWorkspaceRole } = require("../middleware/rbac");
 const { validate, z, commonSchemas } = require("../middleware/validate");
+const { emitToRoom } = require("../workers/socketManager");
+const { diffFields } = require("../utils/diff");
+const { recordAuditLog } = require("../utils/audit-log");
+const { getWorkflowStatuses, getStatusCategory } = require("../utils/workflow");
+const { softDeleteProject, restoreProject } = require("../utils/trash");
+const { rankBetween, rankAtColumnEnd } = require("../utils/rank");
+const { escapeRegex } = require("../utils/search");
+const ProjectAIReport = require("../models/ProjectAIReport");
+const { aiQueue } = require("../queues/ai-queue");
 
 const generateProjectKey = async (name, workspaceId) => {
   let baseKey = name
@@ -22,8 +31,10 @@ const generateProjectKey = async (name, workspaceId) => {
   let key = `${baseKey}${randomSuffix()}`;
   let attempt = 0;
 
-  // ensure uniqueness in workspace
-  while (await Project.exists({ workspaceId, key })) {
+  // ensure uniqueness in workspace, including projects in the trash
+  while (
+    await Project.exists({ workspaceId, key }).setOptions({ withDeleted: true })
+  ) {
     key = `${baseKey}${randomSuffix()}`;
     attempt++;
     if (attempt > 10) {
@@ -36,6 +47,45 @@ const generateProjectKey = async (name, workspaceId) => {
   return key;
 };
 
+const workflowStatusesSchema = z
+  .array(
+    z.object({
+      key: commonSchemas.status,
+      name: z.string().min(1).max(50),
+      category: commonSchemas.statusCategory,
+      color: z.string().optional(),
+    })
+  )
+  .min(1)
+  .max(20)
+  .refine(
+    (statuses) => new Set(statuses.map((s) => s.key)).size === statuses.length,
+    { message: "Workflow status keys must be unique" }
+  )
+  .refine(
+    (statuses) =>
+      statuses.some((s) => s.category === "todo") &&
+      statuses.some((s) => s.category === "done"),
+    { message: "Workflow needs at least one todo and one done status" }
+  );
+
+const workflowTransitionsSchema = z.array(
+  z.object({
+    from: z.union([commonSchemas.status, z.literal("*")]),
+    to: commonSchemas.status,
+    minRole: commonSchemas.role.optional(),
+    requireAssignee: z.boolean().optional(),
+  })
+);
+
+const transitionsReferenceStatuses = ({ statuses, transitions }) => {
+  if (!transitions) return true;
+  const keys = new Set(statuses.map((s) => s.key));
+  return transitions.every(
+    (t) => (t.from === "*" || keys.has(t.from)) && keys.has(t.to)
+  );
+};
+
 const createProjectSchema = z.object({
   body: z.object({
     workspaceId: commonSchemas.mongoId,
@@ -48,6 +98,15 @@ const createProjectSchema = z.object({
       .optional(),
     description: z.string().max(500).optional(),
     status: z.enum(["active", "archived", "completed"]).optional(),
+    workflow: z
+      .object({
+        statuses: workflowStatusesSchema,
+        transitions: workflowTransitionsSchema.optional(),
+      })
+      .refine(transitionsReferenceStatuses, {
+        message: "Transitions must reference statuses of this workflow",
+      })
+      .optional(),
   }),
 });
 
@@ -69,6 +128,23 @@ const updateProjectSchema = z.object({
   }),
 });
 
+const updateWorkflowSchema = z.object({
+  params: z.object({
+    projectId: commonSchemas.mongoId,
+  }),
+  body: z
+    .object({
+      workspaceId: commonSchemas.mongoId,
+      statuses: workflowStatusesSchema,
+      transitions: workflowTransitionsSchema.optional(),
+      // Where tasks sitting in a removed status should be moved to
+      statusMapping: z.record(commonSchemas.status).optional(),
+    })
+    .refine(transitionsReferenceStatuses, {
+      message: "Transitions must reference statuses of this workflow",
+    }),
+});
+
 const deletedProjectSchema = z.object({
   params: z.object({
     projectId: commonSchemas.mongoId,
@@ -78,6 +154,15 @@ const deletedProjectSchema = z.object({
   }),
 });
 
+const restoreProjectSchema = z.object({
+  params: z.object({
+    projectId: commonSchemas.mongoId,
+  }),
+  body: z.object({
+    workspaceId: commonSchemas.mongoId,
+  }),
+});
+
 const getProjectsBySearchSchema = z.object({
   query: z.object({
     search: z.string().optional(),
@@ -137,7 +222,7 @@ router.get("/", validate(getProjectsBySearchSchema), async (req, res) => {
     if (typeof search === "string" && search.trim() !== "") {
       queryObj = {
         workspaceId: { $in: workspaceIds },
-        name: { $regex: search, $options: "i" },
+        name: { $regex: escapeRegex(search), $options: "i" },
       };
     }
 
@@ -177,11 +262,17 @@ router.post(
         key: providedKey,
         description,
         status,
+        workflow,
       } = req.validated.body;
 
       // Ensure key is unique (use provided or generate)
       let key = providedKey;
-      if (!key || (await Project.exists({ workspaceId, key }))) {
+      if (
+        !key ||
+        (await Project.exists({ workspaceId, key }).setOptions({
+          withDeleted: true,
+        }))
+      ) {
         key = await generateProjectKey(name, workspaceId);
       }
 
@@ -191,9 +282,22 @@ router.post(
         key,
         description,
         status,
+        workflow,
         createdBy: req.dbUser._id,
       });
 
+      await recordAuditLog(req, {
+        workspaceId,
+        action: "project.created",
+        target: { type: "project", id: project._id, label: project.name },
+        after: { name: project.name, key: project.key, status: project.status },
+      });
+
+      emitToRoom(`workspace:${workspaceId}`, "project:created", {
+        project,
+        actorId: req.dbUser._id,
+      });
+
       res.status(201).json({
         success: true,
         data: project,
@@ -252,7 +356,7 @@ router.patch(
           workspaceId,
           key: providedKey,
           _id: { $ne: projectId },
-        });
+        }).setOptions({ withDeleted: true });
 
         if (keyExists) {
           return res.status(400).json({
@@ -275,43 +379,52 @@ router.patch(
         { new: true, runValidators: true }
       );
 
-      const tasks = await Task.find({ projectId: project._id }).populate(
-        "assignees",
-        "_id"
-      );
+      // Everyone assigned to a task in the project
+      const assigneeIds = await Task.distinct("assignees", {
+        projectId: project._id,
+      });
 
-      // Collect unique assignee IDs and exclude the current user
-      const uniqueAssigneeIds = new Set();
+      await notify({
+        type: "project_updated",
+        actor: req.dbUser,
+        recipients: assigneeIds,
+        title: "Project Updated",
+        message: `Project "${project.name}" with the key "${project.key}" was updated by ${req.dbUser.name}.`,
+        payload: {
+          projectId: project._id,
+          workspaceId: project.workspaceId,
+        },
+        group: { verb: "updated", target: `project "${project.name}"` },
+      });
 
-      for (const task of tasks) {
-        const assignees = task.assignees || [];
-        for (const assignee of assignees) {
-          // Only add if it's not the user who made the update
-          if (assignee._id.toString() !== req.dbUser._id.toString()) {
-            uniqueAssigneeIds.add(assignee._id.toString());
-          }
-        }
-      }
+      const changes = diffFields(currentProject, project, [
+        "name",
+        "key",
+        "description",
+        "status",
+      ]);
 
-      // Create one notification per unique assignee
-      const notificationPromises = Array.from(uniqueAssigneeIds).map(
-        (assigneeId) => {
-          const notification = new Notification({
-            userId: assigneeId,
-            type: "project_updated",
-            title: "Project Updated",
-            message: `Project "${project.name}" with the key "${project.key}" was updated by ${req.dbUser.name}.`,
-            payload: {
-              projectId: project._id,
-              workspaceId: project.workspaceId,
-              actorId: req.dbUser._id,
-            },
-          });
-          return notification.save();
-        }
-      );
+      await recordAuditLog(req, {
+        workspaceId,
+        action: "project.updated",
+        target: { type: "project", id: project._id, label: project.name },
+        before: Object.fromEntries(
+          Object.entries(changes).map(([field, { from }]) => [field, from])
+        ),
+        after: Object.fromEntries(
+          Object.entries(changes).map(([field, { to }]) => [field, to])
+        ),
+      });
 
-      await Promise.all(notificationPromises);
+      const projectEvent = {
+        projectId: project._id,
+        workspaceId: project.workspaceId,
+        changes,
+        project,
+        actorId: req.dbUser._id,
+      };
+      emitToRoom(`project:${project._id}`, "project:updated", projectEvent);
+      emitToRoom(`workspace:${workspaceId}`, "project:updated", projectEvent);
 
       res.status(200).json({
         success: true,
@@ -333,6 +446,147 @@ router.patch(
   }
 );
 
+router.put(
+  "/:projectId/workflow",
+  validate(updateWorkflowSchema),
+  requireWorkspaceRole("manager"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.validated.params;
+      const {
+        workspaceId,
+        statuses,
+        transitions,
+        statusMapping = {},
+      } = req.validated.body;
+
+      const project = await Project.findById(projectId);
+
+      if (!project) {
+        return res.status(404).json({
+          message: "Project not found",
+        });
+      }
+
+      if (project.workspaceId.toString() !== workspaceId) {
+        return res.status(403).json({
+          message: "Project does not belong to this workspace",
+        });
+      }
+
+      const newKeys = new Set(statuses.map((s) => s.key));
+      const removedKeys = getWorkflowStatuses(project)
+        .map((s) => s.key)
+        .filter((key) => !newKeys.has(key));
+
+      // Tasks in a removed status must be given a new home, including those
+      // in the trash so they can be restored into a valid status
+      const unmappedStatuses = [];
+      for (const key of removedKeys) {
+        const target = statusMapping[key];
+        const inUse = await Task.exists({ projectId, status: key }).setOptions({
+          withDeleted: true,
+        });
+
+        if (inUse && (!target || !newKeys.has(target))) {
+          unmappedStatuses.push(key);
+        }
+      }
+
+      if (unmappedStatuses.length > 0) {
+        return res.status(409).json({
+          message:
+            "Some removed statuses still contain tasks. Provide a statusMapping to an existing status.",
+          unmappedStatuses,
+          allowedStatuses: [...newKeys],
+        });
+      }
+
+      // Without new rules, keep the existing ones that still apply
+      const keptTransitions = (project.workflow?.transitions || []).filter(
+        (t) => (t.from === "*" || newKeys.has(t.from)) && newKeys.has(t.to)
+      );
+
+      const previousWorkflow = project.toObject().workflow;
+
+      project.workflow = {
+        statuses,
+        transitions: transitions ?? keptTransitions,
+      };
+
+      // Tasks moved out of a removed status keep their order and go to the
+      // bottom of their new column
+      const remapOperations = [];
+      const nextRanks = new Map();
+      for (const key of removedKeys.filter((k) => statusMapping[k])) {
+        const target = statusMapping[key];
+        const moving = await Task.find({ projectId, status: key })
+          .setOptions({ withDeleted: true })
+          .sort({ rank: 1, _id: 1 })
+          .select("_id");
+
+        let rank =
+          nextRanks.get(target) ?? (await rankAtColumnEnd(projectId, target));
+        for (const task of moving) {
+          remapOperations.push({
+            updateOne: {
+              filter: { _id: task._id },
+              update: { $set: { status: target, rank } },
+            },
+          });
+          rank = rankBetween(rank, null);
+        }
+        nextRanks.set(target, rank);
+      }
+
+      // bulkWrite skips the soft-delete filter, so trashed tasks are moved
+      // and recategorized too
+      const operations = [
+        ...remapOperations,
+        ...statuses.map((s) => ({
+          updateMany: {
+            filter: { projectId: project._id, status: s.key },
+            update: {
+              $set: { statusCategory: getStatusCategory(project, s.key) },
+            },
+          },
+        })),
+      ];
+
+      await Task.bulkWrite(operations, { ordered: true });
+      await project.save();
+
+      await recordAuditLog(req, {
+        workspaceId,
+        action: "project.workflow_updated",
+        target: { type: "project", id: project._id, label: project.name },
+        before: { workflow: previousWorkflow, statusMapping },
+        after: { workflow: project.toObject().workflow },
+      });
+
+      emitToRoom(`project:${project._id}`, "project:updated", {
+        projectId: project._id,
+        workspaceId: project.workspaceId,
+        changes: {
+          workflow: { from: previousWorkflow, to: project.toObject().workflow },
+        },
+        project,
+        actorId: req.dbUser._id,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: project,
+      });
+    } catch (error) {
+      console.error("📊 Update project workflow error:", error);
+      res.status(500).json({
+        message: "Failed to update project workflow",
+      });
+    }
+  }
+);
+
 router.delete(
   "/:projectId",
   validate(deletedProjectSchema),
@@ -356,49 +610,52 @@ router.delete(
         });
       }
 
-      const tasks = await Task.find({ projectId: currentProject._id }).populate(
-        "assignees",
-        "_id"
-      );
-
-      // Collect unique assignee IDs and exclude the current user
-      const uniqueAssigneeIds = new Set();
-
-      for (const task of tasks) {
-        const assignees = task.assignees || [];
-        for (const assignee of assignees) {
-          // Only add if it's not the user who is deleting the project
-          if (assignee._id.toString() !== req.dbUser._id.toString()) {
-            uniqueAssigneeIds.add(assignee._id.toString());
-          }
-        }
-      }
+      // Everyone assigned to a task in the project
+      const assigneeIds = await Task.distinct("assignees", {
+        projectId: currentProject._id,
+      });
+      const taskCount = await Task.countDocuments({
+        projectId: currentProject._id,
+      });
 
-      // Create one notification per unique assignee
-      const notificationPromises = Array.from(uniqueAssigneeIds).map(
-        (assigneeId) => {
-          const notification = new Notification({
-            userId: assigneeId,
-            type: "project_deleted",
-            title: "Project Deleted",
-            message: `Project "${currentProject.name}" with the key "${currentProject.key}" was deleted by ${req.dbUser.name}.`,
-            payload: {
-              projectId: currentProject._id,
-              workspaceId: currentProject.workspaceId,
-              actorId: req.dbUser._id,
-            },
-          });
-          return notification.save();
-        }
-      );
+      await notify({
+        type: "project_deleted",
+        actor: req.dbUser,
+        recipients: assigneeIds,
+        title: "Project Deleted",
+        message: `Project "${currentProject.name}" with the key "${currentProject.key}" was deleted by ${req.dbUser.name}.`,
+        payload: {
+          projectId: currentProject._id,
+          workspaceId: currentProject.workspaceId,
+        },
+      });
 
-      await Promise.all(notificationPromises);
+      // Move the project and its tasks to the trash
+      await softDeleteProject(currentProject, req.dbUser._id);
 
-      // Delete all tasks associated with this project
-      await Task.deleteMany({ projectId });
+      await recordAuditLog(req, {
+        workspaceId,
+        action: "project.deleted",
+        target: {
+          type: "project",
+          id: currentProject._id,
+          label: currentProject.name,
+        },
+        before: {
+          name: currentProject.name,
+          key: currentProject.key,
+          status: currentProject.status,
+          taskCount,
+        },
+      });
 
-      // Delete the project
-      await Project.findByIdAndDelete(projectId);
+      const projectEvent = {
+        projectId: currentProject._id,
+        workspaceId: currentProject.workspaceId,
+        actorId: req.dbUser._id,
+      };
+      emitToRoom(`project:${projectId}`, "project:deleted", projectEvent);
+      emitToRoom(`workspace:${workspaceId}`, "project:deleted", projectEvent);
 
       res.status(204).json({
         status: "success",
@@ -414,4 +671,176 @@ router.delete(
   }
 );
 
+router.post(
+  "/:projectId/restore",
+  validate(restoreProjectSchema),
+  requireWorkspaceRole("manager"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.validated.params;
+      const { workspaceId } = req.validated.body;
+
+      const project = await Project.findOne({
+        _id: projectId,
+        workspaceId,
+        deletedAt: { $ne: null },
+      });
+
+      if (!project) {
+        return res.status(404).json({
+          message: "Project not found in trash",
+        });
+      }
+
+      if (project.deletedWith) {
+        return res.status(409).json({
+          message:
+            "Project was deleted together with its workspace; restore the workspace instead",
+        });
+      }
+
+      await restoreProject(project);
+
+      await recordAuditLog(req, {
+        workspaceId,
+        action: "project.restored",
+        target: { type: "project", id: project._id, label: project.name },
+        after: { name: project.name, key: project.key, status: project.status },
+      });
+
+      const restored = await Project.findById(projectId);
+
+      emitToRoom(`workspace:${workspaceId}`, "project:restored", {
+        project: restored,
+        actorId: req.dbUser._id,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: restored,
+      });
+    } catch (error) {
+      console.error("📊 Restore project error:", error);
+
+      res.status(500).json({
+        message: "Failed to restore project",
+      });
+    }
+  }
+);
+
+const AI_REPORT_PENDING_TTL_MS = 15 * 60 * 1000;
+
+const criticalPathSchema = z.object({
+  params: z.object({
+    projectId: commonSchemas.mongoId,
+  }),
+  body: z.object({
+    workspaceId: commonSchemas.mongoId,
+  }),
+});
+
+const getAIReportSchema = z.object({
+  params: z.object({
+    projectId: commonSchemas.mongoId,
+  }),
+  query: z.object({
+    workspaceId: commonSchemas.mongoId,
+  }),
+});
+
+// AI endpoints
+router.post(
+  "/:projectId/ai/critical-path",
+  validate(criticalPathSchema),
+  requireWorkspaceRole("member"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.validated.params;
+      const { workspaceId } = req.validated.body;
+
+      const project = await Project.findOne({ _id: projectId, workspaceId });
+      if (!project) {
+        return res.status(404).json({
+          message: "Project not found",
+        });
+      }
+
+      // A report stuck in pending (e.g. lost job) stops blocking after a while
+      const pending = await ProjectAIReport.findOne({
+        projectId,
+        type: "critical_path",
+        status: "pending",
+        createdAt: { $gte: new Date(Date.now() - AI_REPORT_PENDING_TTL_MS) },
+      });
+      if (pending) {
+        return res.status(409).json({
+          message: "An analysis is already in progress for this project",
+          data: pending,
+        });
+      }
+
+      const report = await ProjectAIReport.create({
+        projectId,
+        workspaceId,
+        type: "critical_path",
+        requestedBy: req.dbUser._id,
+      });
+
+      await aiQueue.add("critical-path", {
+        projectId,
+        reportId: report._id.toString(),
+        requestedBy: req.dbUser._id.toString(),
+      });
+
+      res.status(202).json({
+        success: true,
+        message: "AI critical path analysis queued",
+        data: report,
+      });
+    } catch (error) {
+      console.error("🤖 AI critical path error:", error);
+      res.status(500).json({
+        message: "Failed to queue AI critical path analysis",
+      });
+    }
+  }
+);
+
+router.get(
+  "/:projectId/ai/critical-path",
+  validate(getAIReportSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.validated.params;
+      const { workspaceId } = req.validated.query;
+
+      const report = await ProjectAIReport.findOne({
+        projectId,
+        workspaceId,
+        type: "critical_path",
+      })
+        .populate("requestedBy", "_id name email avatarURL")
+        .sort({ createdAt: -1 });
+
+      if (!report) {
+        return res.status(404).json({
+          message: "No critical path analysis for this project yet",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      console.error("🤖 Get AI critical path error:", error);
+      res.status(500).json({
+        message: "Failed to fetch AI critical path analysis",
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,215 @@
+const express = require("express");
+const router = express.Router();
+const Workspace = require("../models/Workspace");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const Comment = require("../models/Comment");
+const { validate, z, commonSchemas } = require("../middleware/validate");
+const { ROLE_HIERARCHY } = require("../middleware/rbac");
+const { parseSearchTerms, snippetFromFields } = require("../utils/search");
+
+const SEARCH_TYPES = ["task", "project", "comment"];
+
+const searchSchema = z.object({
+  query: z.object({
+    q: z.string().trim().min(2).max(200),
+    type: z
+      .preprocess(
+        (value) => (typeof value === "string" ? value.split(",") : value),
+        z.array(z.enum(SEARCH_TYPES)).min(1)
+      )
+      .default(SEARCH_TYPES),
+    workspaceId: commonSchemas.mongoId.optional(),
+    limit: z.coerce.number().int().min(1).max(50).default(20),
+  }),
+});
+
+const textScore = { score: { $meta: "textScore" } };
+
+const searchTasks = (q, projectIds, limit) =>
+  Task.find({ $text: { $search: q }, projectId: { $in: projectIds } })
+    .select({
+      ...textScore,
+      title: 1,
+      description: 1,
+      tags: 1,
+      status: 1,
+      priority: 1,
+      projectId: 1,
+    })
+    .sort(textScore)
+    .limit(limit)
+    .lean();
+
+const searchProjects = (q, workspaceIds, limit) =>
+  Project.find({ $text: { $search: q }, workspaceId: { $in: workspaceIds } })
+    .select({
+      ...textScore,
+      name: 1,
+      key: 1,
+      description: 1,
+      workspaceId: 1,
+    })
+    .sort(textScore)
+    .limit(limit)
+    .lean();
+
+// Comments carry their task's projectId, so the text search is scoped to
+// the caller's projects in its first stage; comments on trashed tasks are
+// dropped by the task lookup
+const searchComments = (q, projectIds, limit) =>
+  Comment.aggregate([
+    { $match: { $text: { $search: q }, projectId: { $in: projectIds } } },
+    { $addFields: { score: { $meta: "textScore" } } },
+    { $sort: { score: -1 } },
+    {
+      $lookup: {
+        from: "tasks",
+        localField: "taskId",
+        foreignField: "_id",
+        as: "task",
+      },
+    },
+    { $unwind: "$task" },
+    { $match: { "task.deletedAt": null } },
+    { $limit: limit },
+    {
+      $project: {
+        body: 1,
+        authorId: 1,
+        createdAt: 1,
+        score: 1,
+        taskId: 1,
+        "task.title": 1,
+        "task.projectId": 1,
+      },
+    },
+  ]);
+
+// Text scores depend on each index's weights (titles count 10x, comment
+// bodies 1x), so every type is scaled to its own best match before merging
+const normalizeScores = (items) => {
+  const max = Math.max(0, ...items.map((item) => item.score));
+  return items.map((item) => ({
+    ...item,
+    score: max > 0 ? item.score / max : 0,
+  }));
+};
+
+router.get("/", validate(searchSchema), async (req, res) => {
+  try {
+    const { q, type, workspaceId, limit } = req.validated.query;
+
+    const workspaceFilter = { "members.uid": req.dbUser._id };
+    if (workspaceId) workspaceFilter._id = workspaceId;
+
+    const workspaces = await Workspace.find(workspaceFilter).select(
+      "_id members"
+    );
+
+    if (workspaceId && workspaces.length === 0) {
+      return res.status(403).json({
+        message: "Access denied to this workspace",
+      });
+    }
+
+    const workspaceIds = workspaces.map((workspace) => workspace._id);
+    const projects = await Project.find({
+      workspaceId: { $in: workspaceIds },
+    })
+      .select("_id name workspaceId")
+      .lean();
+    const projectsById = new Map(projects.map((p) => [p._id.toString(), p]));
+    const projectIds = projects.map((project) => project._id);
+
+    // Comments are only listed for members and above, so viewers don't
+    // find them through search either
+    const commentWorkspaceIds = new Set(
+      workspaces
+        .filter((workspace) => {
+          const membership = workspace.members.find(
+            (m) => m.uid.toString() === req.dbUser._id.toString()
+          );
+          return ROLE_HIERARCHY[membership?.role] >= ROLE_HIERARCHY.member;
+        })
+        .map((workspace) => workspace._id.toString())
+    );
+    const commentProjectIds = projects
+      .filter((p) => commentWorkspaceIds.has(p.workspaceId.toString()))
+      .map((p) => p._id);
+
+    const [tasks, matchedProjects, comments] = await Promise.all([
+      type.includes("task")
+        ? searchTasks(q, projectIds, limit).then(normalizeScores)
+        : [],
+      type.includes("project")
+        ? searchProjects(q, workspaceIds, limit).then(normalizeScores)
+        : [],
+      type.includes("comment") && commentProjectIds.length > 0
+        ? searchComments(q, commentProjectIds, limit).then(normalizeScores)
+        : [],
+    ]);
+
+    const terms = parseSearchTerms(q);
+    const projectContext = (projectId) => {
+      const project = projectsById.get(projectId.toString());
+      return {
+        projectId,
+        projectName: project?.name,
+        workspaceId: project?.workspaceId,
+      };
+    };
+
+    const results = [
+      ...tasks.map((task) => ({
+        type: "task",
+        id: task._id,
+        title: task.title,
+        score: task.score,
+        snippet: snippetFromFields(
+          task,
+          ["description", "tags", "title"],
+          terms
+        ),
+        status: task.status,
+        priority: task.priority,
+        ...projectContext(task.projectId),
+      })),
+      ...matchedProjects.map((project) => ({
+        type: "project",
+        id: project._id,
+        title: project.name,
+        score: project.score,
+        snippet: snippetFromFields(project, ["description", "name"], terms),
+        key: project.key,
+        projectId: project._id,
+        workspaceId: project.workspaceId,
+      })),
+      ...comments.map((comment) => ({
+        type: "comment",
+        id: comment._id,
+        title: comment.task.title,
+        score: comment.score,
+        snippet: snippetFromFields(comment, ["body"], terms),
+        taskId: comment.taskId,
+        authorId: comment.authorId,
+        createdAt: comment.createdAt,
+        ...projectContext(comment.task.projectId),
+      })),
+    ]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      data: results,
+    });
+  } catch (error) {
+    console.error("🔍 Search error:", error);
+    res.status(500).json({
+      message: "Failed to search",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,339 @@
+const express = require("express");
+const router = express.Router();
+const TaskTemplate = require("../models/TaskTemplate");
+const Project = require("../models/Project");
+const { requireWorkspaceRole } = require("../middleware/rbac");
+const { validate, z, commonSchemas } = require("../middleware/validate");
+const {
+  WEEKDAYS,
+  parseLocalDate,
+  upcomingOccurrences,
+} = require("../utils/recurrence");
+const { getNextRunAt } = require("../utils/recurring-tasks");
+
+const localDate = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Expected a YYYY-MM-DD date")
+  .refine((value) => !Number.isNaN(parseLocalDate(value)), "Invalid date");
+
+const MAX_INTERVAL = { daily: 365, weekly: 52, monthly: 12 };
+
+const recurrenceSchema = z
+  .object({
+    freq: z.enum(["daily", "weekly", "monthly"]),
+    interval: z.number().int().min(1).default(1),
+    byWeekday: z.array(z.enum(WEEKDAYS)).min(1).max(7).optional(),
+    byMonthDay: z.number().int().min(1).max(31).optional(),
+    time: z
+      .string()
+      .regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Expected a HH:mm time")
+      .default("09:00"),
+    startDate: localDate,
+    until: localDate.optional(),
+    count: z.number().int().min(1).max(1000).optional(),
+  })
+  .superRefine((rule, ctx) => {
+    if (rule.interval > MAX_INTERVAL[rule.freq]) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["interval"],
+        message: `Interval can be at most ${MAX_INTERVAL[rule.freq]} for ${
+          rule.freq
+        } recurrence`,
+      });
+    }
+    if (rule.byWeekday && rule.freq !== "weekly") {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["byWeekday"],
+        message: "byWeekday only applies to weekly recurrence",
+      });
+    }
+    if (rule.byMonthDay && rule.freq !== "monthly") {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["byMonthDay"],
+        message: "byMonthDay only applies to monthly recurrence",
+      });
+    }
+    if (rule.until && rule.until < rule.startDate) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["until"],
+        message: "until must not be before startDate",
+      });
+    }
+  });
+
+const templateFields = {
+  title: z.string().min(1).max(200),
+  description: z.string().max(2000).optional(),
+  priority: commonSchemas.priority.optional(),
+  assignees: z.array(commonSchemas.mongoId).optional(),
+  tags: z.array(z.string()).optional(),
+  estimate: z.number().positive().optional(),
+  dueInDays: z.number().int().min(0).max(365).nullable().optional(),
+};
+
+const listTemplatesSchema = z.object({
+  query: z.object({
+    workspaceId: commonSchemas.mongoId,
+    projectId: commonSchemas.mongoId.optional(),
+  }),
+});
+
+const createTemplateSchema = z.object({
+  body: z.object({
+    workspaceId: commonSchemas.mongoId,
+    projectId: commonSchemas.mongoId,
+    ...templateFields,
+    recurrence: recurrenceSchema,
+  }),
+});
+
+const templateIdSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  query: z.object({
+    workspaceId: commonSchemas.mongoId,
+  }),
+});
+
+const updateTemplateSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  body: z.object({
+    workspaceId: commonSchemas.mongoId,
+    title: templateFields.title.optional(),
+    description: templateFields.description,
+    priority: templateFields.priority,
+    assignees: templateFields.assignees,
+    tags: templateFields.tags,
+    estimate: templateFields.estimate,
+    dueInDays: templateFields.dueInDays,
+    recurrence: recurrenceSchema.optional(),
+    active: z.boolean().optional(),
+  }),
+});
+
+const UPCOMING_PREVIEW_COUNT = 5;
+
+// Assignees must be members of the workspace the template belongs to
+const nonMemberAssignees = (workspace, assignees = []) => {
+  const memberIds = new Set(workspace.members.map((m) => m.uid.toString()));
+  return assignees.filter((id) => !memberIds.has(id));
+};
+
+router.get(
+  "/",
+  validate(listTemplatesSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.validated.query;
+
+      const filter = { workspaceId: req.workspace._id };
+      if (projectId) filter.projectId = projectId;
+
+      const templates = await TaskTemplate.find(filter)
+        .populate("assignees", "_id name email avatarURL")
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: templates,
+      });
+    } catch (error) {
+      console.error("🔁 List task templates error:", error);
+      res.status(500).json({
+        message: "Failed to fetch recurring tasks",
+      });
+    }
+  }
+);
+
+router.post(
+  "/",
+  validate(createTemplateSchema),
+  requireWorkspaceRole("manager"),
+  async (req, res) => {
+    try {
+      const { workspaceId, projectId, ...fields } = req.validated.body;
+
+      const project = await Project.findOne({ _id: projectId, workspaceId });
+      if (!project) {
+        return res.status(404).json({ message: "Project not found" });
+      }
+
+      const invalidAssignees = nonMemberAssignees(
+        req.workspace,
+        fields.assignees
+      );
+      if (invalidAssignees.length > 0) {
+        return res.status(422).json({
+          message: "Assignees must be members of the workspace",
+          invalidAssignees,
+        });
+      }
+
+      const template = new TaskTemplate({
+        ...fields,
+        workspaceId,
+        projectId,
+        createdBy: req.dbUser._id,
+      });
+      template.nextRunAt = getNextRunAt(
+        template,
+        req.workspace.settings?.timezone
+      );
+
+      if (!template.nextRunAt) {
+        return res.status(422).json({
+          message: "Recurrence has no upcoming occurrences",
+        });
+      }
+
+      await template.save();
+
+      res.status(201).json({
+        success: true,
+        data: template,
+      });
+    } catch (error) {
+      console.error("🔁 Create task template error:", error);
+      res.status(500).json({
+        message: "Failed to create recurring task",
+      });
+    }
+  }
+);
+
+router.get(
+  "/:id",
+  validate(templateIdSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const template = await TaskTemplate.findOne({
+        _id: req.validated.params.id,
+        workspaceId: req.workspace._id,
+      }).populate("assignees", "_id name email avatarURL");
+
+      if (!template) {
+        return res.status(404).json({ message: "Recurring task not found" });
+      }
+
+      const upcoming = template.active
+        ? upcomingOccurrences(
+            template.recurrence,
+            req.workspace.settings?.timezone,
+            UPCOMING_PREVIEW_COUNT
+          )
+        : [];
+
+      res.json({
+        success: true,
+        data: { ...template.toObject(), upcoming },
+      });
+    } catch (error) {
+      console.error("🔁 Get task template error:", error);
+      res.status(500).json({
+        message: "Failed to fetch recurring task",
+      });
+    }
+  }
+);
+
+router.patch(
+  "/:id",
+  validate(updateTemplateSchema),
+  requireWorkspaceRole("manager"),
+  async (req, res) => {
+    try {
+      const { workspaceId, ...updates } = req.validated.body;
+
+      const template = await TaskTemplate.findOne({
+        _id: req.validated.params.id,
+        workspaceId,
+      });
+      if (!template) {
+        return res.status(404).json({ message: "Recurring task not found" });
+      }
+
+      const invalidAssignees = nonMemberAssignees(
+        req.workspace,
+        updates.assignees
+      );
+      if (invalidAssignees.length > 0) {
+        return res.status(422).json({
+          message: "Assignees must be members of the workspace",
+          invalidAssignees,
+        });
+      }
+
+      for (const [field, value] of Object.entries(updates)) {
+        if (value !== undefined) template.set(field, value);
+      }
+
+      // A new rule starts counting occurrences again
+      if (updates.recurrence) template.occurrences = 0;
+
+      if (updates.recurrence || updates.active === true) {
+        template.nextRunAt = template.active
+          ? getNextRunAt(template, req.workspace.settings?.timezone)
+          : null;
+
+        if (template.active && !template.nextRunAt) {
+          return res.status(422).json({
+            message: "Recurrence has no upcoming occurrences",
+          });
+        }
+      }
+
+      await template.save();
+
+      res.json({
+        success: true,
+        data: template,
+      });
+    } catch (error) {
+      console.error("🔁 Update task template error:", error);
+      res.status(500).json({
+        message: "Failed to update recurring task",
+      });
+    }
+  }
+);
+
+// Tasks already created from the template are kept
+router.delete(
+  "/:id",
+  validate(templateIdSchema),
+  requireWorkspaceRole("manager"),
+  async (req, res) => {
+    try {
+      const template = await TaskTemplate.findOneAndDelete({
+        _id: req.validated.params.id,
+        workspaceId: req.workspace._id,
+      });
+
+      if (!template) {
+        return res.status(404).json({ message: "Recurring task not found" });
+      }
+
+      res.status(204).json({
+        success: true,
+        data: null,
+      });
+    } catch (error) {
+      console.error("🔁 Delete task template error:", error);
+      res.status(500).json({
+        message: "Failed to delete recurring task",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,12 +1,55 @@
 const express = require("express");
+const { Types } = require("mongoose");
 const router = express.Router();
 const Task = require("../models/Task");
-const Notification = require("../models/Notification");
+const { notify } = require("../lib/notification-service");
 const Workspace = require("../models/Workspace");
 const Project = require("../models/Project");
-const { requireWorkspaceRole } = require("../middleware/rbac");
+const { requireWorkspaceRole, ROLE_HIERARCHY } = require("../middleware/rbac");
+const { uploadAttachments } = require("../middleware/upload");
 const { validate, z, commonSchemas } = require("../middleware/validate");
 const { aiQueue } = require("../queues/ai-queue");
+const { emitToRoom } = require("../workers/socketManager");
+const {
+  rankBetween,
+  rankAtColumnEnd,
+  rebalanceColumnIfNeeded,
+} = require("../utils/rank");
+const { diffFields } = require("../utils/diff");
+const {
+  TRACKED_TASK_FIELDS,
+  recordTaskActivity,
+} = require("../utils/task-activity");
+const TaskActivity = require("../models/TaskActivity");
+const { rollUpProgress } = require("../utils/task-hierarchy");
+const { escapeRegex } = require("../utils/search");
+const {
+  getOpenBlockers,
+  findBlockingPath,
+  notifyBlockerCompleted,
+} = require("../utils/task-dependencies");
+const {
+  buildTaskFilter,
+  cursorMatchesSort,
+  buildTaskPagePipeline,
+  toTaskPage,
+  findTaskPage,
+  findTaskInWorkspace,
+} = require("../utils/task-query");
+const { softDeleteTask, restoreTask } = require("../utils/trash");
+const { getStorage } = require("../lib/storage");
+const {
+  buildStorageKey,
+  serializeAttachment,
+  deleteAttachmentFiles,
+} = require("../utils/attachments");
+const {
+  getWorkflowStatuses,
+  getStatusCategory,
+  getInitialStatus,
+  getAllowedNextStatuses,
+  checkTransition,
+} = require("../utils/workflow");
 
 const createTaskSchema = z.object({
   body: z.object({
@@ -15,7 +58,6 @@ const createTaskSchema = z.object({
     description: z.string().max(2000).optional(),
     priority: commonSchemas.priority.optional(),
     status: commonSchemas.status.optional(),
-    order: z.number().min(1).max(6).optional(),
     dueDate: z.string().nullable().optional(),
     estimate: z.number().positive().optional(),
     progress: z.number().positive().optional(),
@@ -24,12 +66,78 @@ const createTaskSchema = z.object({
   }),
 });
 
+const invalidStatusBody = (project, status) => ({
+  message: `Status "${status}" is not part of this project's workflow`,
+  allowedStatuses: getWorkflowStatuses(project).map((s) => s.key),
+});
+
+// Returns the error response for an invalid status change, or null
+const getStatusChangeError = (project, task, status, context) => {
+  if (!getStatusCategory(project, status)) {
+    return { httpStatus: 422, body: invalidStatusBody(project, status) };
+  }
+
+  const transitionError = checkTransition(
+    project,
+    task.status,
+    status,
+    context
+  );
+  if (transitionError) {
+    return {
+      httpStatus: transitionError.code === "transition_not_allowed" ? 409 : 422,
+      body: transitionError,
+    };
+  }
+
+  return null;
+};
+
+// Completing a task whose blockers are still open is rejected unless the
+// caller passes `ignoreBlockers`, in which case it goes through with a warning
+const checkOpenBlockers = async (task, nextCategory, ignoreBlockers) => {
+  if (nextCategory !== "done" || task.statusCategory === "done") return {};
+
+  const openBlockers = await getOpenBlockers(task);
+  if (openBlockers.length === 0) return {};
+
+  const warning = {
+    code: "blocked_by_open_tasks",
+    message: `Task is blocked by ${openBlockers.length} open task(s)`,
+    openBlockers,
+  };
+  return ignoreBlockers ? { warnings: [warning] } : { error: warning };
+};
+
 const getTasksBySearchSchema = z.object({
-  query: z.object({
+  query: commonSchemas.taskListQuery.extend({
     search: z.string().optional(),
   }),
 });
 
+const getProjectTasksSchema = z.object({
+  params: z.object({
+    projectId: commonSchemas.mongoId,
+  }),
+  query: commonSchemas.taskListQuery.extend({
+    workspaceId: commonSchemas.mongoId,
+  }),
+});
+
+const getProjectTaskSchema = z.object({
+  params: z.object({
+    projectId: commonSchemas.mongoId,
+    taskId: commonSchemas.mongoId,
+  }),
+  query: z.object({
+    workspaceId: commonSchemas.mongoId,
+  }),
+});
+
+const invalidCursorBody = {
+  message: "Cursor does not match the requested sort",
+};
+
 router.post(
   "/",
   validate(createTaskSchema),
@@ -38,23 +146,26 @@ router.post(
     try {
       const taskData = req.validated.body;
 
-      // Default to 6 (last)
-      let taskOrder = taskData.order ?? 6;
+      const project = await Project.findById(taskData.projectId);
+      if (
+        !project ||
+        project.workspaceId.toString() !== req.workspace._id.toString()
+      ) {
+        return res.status(404).json({ message: "Project not found" });
+      }
 
-      if (taskOrder !== 6) {
-        // Shift tasks at or after this order, but before "last"
-        await Task.updateMany(
-          {
-            status: taskData.status,
-            order: { $gte: taskOrder, $lt: 6 },
-          },
-          { $inc: { order: 1 } }
-        );
+      taskData.status = taskData.status ?? getInitialStatus(project);
+      const statusCategory = getStatusCategory(project, taskData.status);
+      if (!statusCategory) {
+        return res
+          .status(422)
+          .json(invalidStatusBody(project, taskData.status));
       }
 
       const task = await Task.create({
         ...taskData,
-        order: taskOrder,
+        statusCategory,
+        rank: await rankAtColumnEnd(project._id, taskData.status),
         createdBy: req.dbUser._id,
         dueDate: taskData.dueDate ? new Date(taskData.dueDate) : undefined,
       });
@@ -63,23 +174,31 @@ router.post(
         .populate("createdBy", "name email avatarUrl")
         .populate("assignees", "_id name email avatarUrl");
 
-      const assignees = populatedTask.assignees || [];
-
-      for (const assignee of assignees) {
-        const notification = new Notification({
-          userId: assignee._id,
-          type: "task_assigned",
-          title: "Task Assigned",
-          message: `Task "${populatedTask.title}" was assigned by ${req.dbUser.name}.`,
-          payload: {
-            taskId: populatedTask._id,
-            projectId: populatedTask.projectId,
-            workspaceId: populatedTask.workspaceId,
-            actorId: req.dbUser._id,
-          },
-        });
-        await notification.save();
-      }
+      await notify({
+        type: "task_assigned",
+        actor: req.dbUser,
+        recipients: populatedTask.assignees,
+        title: "Task Assigned",
+        message: `Task "${populatedTask.title}" was assigned by ${req.dbUser.name}.`,
+        payload: {
+          taskId: populatedTask._id,
+          projectId: populatedTask.projectId,
+          workspaceId: req.workspace._id,
+        },
+      });
+
+      await recordTaskActivity({
+        task,
+        workspaceId: req.workspace._id,
+        actorId: req.dbUser._id,
+        action: "created",
+        changes: diffFields(null, task, TRACKED_TASK_FIELDS),
+      });
+
+      emitToRoom(`project:${populatedTask.projectId}`, "task:created", {
+        task: populatedTask,
+        actorId: req.dbUser._id,
+      });
 
       res.status(201).json({
         success: true,
@@ -96,19 +215,36 @@ router.post(
 
 router.get(
   "/by-project/:projectId",
+  validate(getProjectTasksSchema),
   requireWorkspaceRole("viewer"),
   async (req, res) => {
     try {
-      const { projectId } = req.params;
+      const { projectId } = req.validated.params;
+      const query = req.validated.query;
 
-      const tasks = await Task.find({ projectId })
-        .populate("createdBy", "_id name email avatarURL")
-        .populate("assignees", "_id name email avatarURL")
-        .sort({ order: 1, createdAt: -1 });
+      if (!cursorMatchesSort(query)) {
+        return res.status(400).json(invalidCursorBody);
+      }
+
+      const projectExists = await Project.exists({
+        _id: projectId,
+        workspaceId: req.workspace._id,
+      });
+      if (!projectExists) {
+        return res.status(404).json({ message: "Project not found" });
+      }
+
+      const match = {
+        ...buildTaskFilter(query, req.dbUser._id),
+        projectId: new Types.ObjectId(projectId),
+      };
+
+      const { items, nextCursor } = await findTaskPage(match, query);
 
       res.json({
         success: true,
-        data: tasks,
+        data: items,
+        nextCursor,
       });
     } catch (error) {
       console.error("📝 Get tasks error:", error);
@@ -121,15 +257,24 @@ router.get(
 
 router.get(
   "/by-project/:projectId/task/:taskId",
+  validate(getProjectTaskSchema),
   requireWorkspaceRole("viewer"),
   async (req, res) => {
     try {
-      const { taskId } = req.params;
+      const { projectId, taskId } = req.validated.params;
 
-      const task = await Task.findById({ _id: taskId })
-        .populate("createdBy", "_id name email avatarURL")
-        .populate("assignees", "_id name email avatarURL")
-        .sort({ order: 1, createdAt: -1 });
+      const task = await findTaskInWorkspace(taskId, req.workspace._id);
+
+      if (!task || task.projectId.toString() !== projectId) {
+        return res.status(404).json({
+          message: "Task not found",
+        });
+      }
+
+      await task.populate([
+        { path: "createdBy", select: "_id name email avatarURL" },
+        { path: "assignees", select: "_id name email avatarURL" },
+      ]);
 
       res.json({
         success: true,
@@ -147,7 +292,12 @@ router.get(
 router.get("/", validate(getTasksBySearchSchema), async (req, res) => {
   try {
     const { _id } = req.dbUser;
-    const search = req.validated.query.search;
+    const query = req.validated.query;
+    const { search } = query;
+
+    if (!cursorMatchesSort(query)) {
+      return res.status(400).json(invalidCursorBody);
+    }
 
     // Step 1: Find all workspaces where user is a member
     const workspaces = await Workspace.find({
@@ -159,6 +309,7 @@ router.get("/", validate(getTasksBySearchSchema), async (req, res) => {
       return res.json({
         success: true,
         data: [],
+        nextCursor: null,
         message: "You are not a member of any workspace",
       });
     }
@@ -176,26 +327,27 @@ router.get("/", validate(getTasksBySearchSchema), async (req, res) => {
       return res.json({
         success: true,
         data: [],
+        nextCursor: null,
         message: "No projects found in your workspaces",
       });
     }
 
     const projectsIds = projects.map((project) => project._id);
 
-    // Step 3: Build task query with aggregation
-    let matchStage = {};
+    // Step 3: Build task query from the filters
+    const matchStage = {
+      ...buildTaskFilter(query, _id),
+      projectId: { $in: projectsIds },
+    };
 
     // Add title search if provided
     if (typeof search === "string" && search.trim() !== "") {
-      matchStage = {
-        projectId: { $in: projectsIds },
-        title: { $regex: search, $options: "i" },
-      };
+      matchStage.title = { $regex: escapeRegex(search), $options: "i" };
     }
 
-    // Step 4: Aggregation to get workspaceId from project
+    // Step 4: Paginate, then join the page with projects to get workspaceId
     const tasks = await Task.aggregate([
-      { $match: matchStage },
+      ...buildTaskPagePipeline(matchStage, query),
 
       // Join with projects to get workspaceId
       {
@@ -227,6 +379,7 @@ router.get("/", validate(getTasksBySearchSchema), async (req, res) => {
                 projectId: 1,
                 workspaceId: 1,
                 projectName: 1,
+                _sortValue: 1,
               },
             },
           ]
@@ -237,13 +390,14 @@ router.get("/", validate(getTasksBySearchSchema), async (req, res) => {
               },
             },
           ]),
-
-      { $sort: { order: 1, createdAt: -1 } },
     ]);
 
+    const { items, nextCursor } = toTaskPage(tasks, query);
+
     res.json({
       success: true,
-      data: tasks,
+      data: items,
+      nextCursor,
     });
   } catch (error) {
     console.error("📊 List tasks error:", error);
@@ -266,9 +420,9 @@ const updateTaskSchema = z.object({
     dueDate: z.string().nullable().optional(),
     estimate: z.number().positive().optional(),
     progress: z.number().positive().optional(),
-    order: z.number().min(1).max(6).optional(),
     tags: z.array(z.string()).optional(),
     assignees: z.array(commonSchemas.mongoId).optional(),
+    ignoreBlockers: z.boolean().optional(),
   }),
 });
 
@@ -284,102 +438,128 @@ router.patch(
   requireWorkspaceRole("manager"),
   async (req, res) => {
     try {
-      const updates = req.validated.body;
+      const { ignoreBlockers, ...updates } = req.validated.body;
+      let warnings;
 
       if (updates.dueDate) {
         updates.dueDate = new Date(updates.dueDate);
       }
 
+      // A new due date gets a fresh round of reminders
+      if (updates.dueDate !== undefined) {
+        updates.dueReminders = null;
+      }
+
       // Get the current task first
-      const task = await Task.findById(req.params.id);
+      const task = await findTaskInWorkspace(
+        req.validated.params.id,
+        req.workspace._id
+      );
       if (!task) {
         return res.status(404).json({ message: "Task not found" });
       }
 
-      const oldOrder = task.order;
-      const newOrder = updates.order;
+      if (updates.status !== undefined && updates.status !== task.status) {
+        const project = await Project.findById(task.projectId);
+        const statusError = getStatusChangeError(
+          project,
+          task,
+          updates.status,
+          {
+            role: req.membership.role,
+            assignees: updates.assignees ?? task.assignees,
+          }
+        );
+        if (statusError) {
+          return res.status(statusError.httpStatus).json(statusError.body);
+        }
 
-      if (newOrder !== undefined && newOrder !== oldOrder) {
-        const status = updates.status ?? task.status;
+        updates.statusCategory = getStatusCategory(project, updates.status);
 
-        if (newOrder === 6) {
-          // Moving to last decrement orders above oldOrder
-          await Task.updateMany(
-            {
-              status,
-              order: { $gt: oldOrder, $lt: 6 },
-              _id: { $ne: task._id },
-            },
-            { $inc: { order: -1 } }
-          );
-        } else if (oldOrder === 6) {
-          // Moving from last increment orders >= newOrder
-          await Task.updateMany(
-            {
-              status,
-              order: { $gte: newOrder, $lt: 6 },
-              _id: { $ne: task._id },
-            },
-            { $inc: { order: 1 } }
-          );
-        } else if (newOrder > oldOrder) {
-          // Moving down
-          await Task.updateMany(
-            {
-              status,
-              order: { $gt: oldOrder, $lt: newOrder },
-              _id: { $ne: task._id },
-            },
-            { $inc: { order: -1 } }
-          );
-        } else {
-          // Moving up
-          await Task.updateMany(
-            {
-              status,
-              order: { $gte: newOrder, $lt: oldOrder },
-              _id: { $ne: task._id },
-            },
-            { $inc: { order: 1 } }
-          );
+        const blockerCheck = await checkOpenBlockers(
+          task,
+          updates.statusCategory,
+          ignoreBlockers
+        );
+        if (blockerCheck.error) {
+          return res.status(409).json(blockerCheck.error);
         }
+        warnings = blockerCheck.warnings;
 
-        // req.io.to(`project:${task.projectId}`).emit("task:moved", {
-        //   taskId: task._id,
-        //   oldOrder,
-        //   newOrder,
-        //   status,
-        // });
+        // Changing column drops the task at the bottom of the new one
+        updates.rank = await rankAtColumnEnd(task.projectId, updates.status);
       }
 
-      const updatedTask = await Task.findByIdAndUpdate(req.params.id, updates, {
+      const updatedTask = await Task.findByIdAndUpdate(task._id, updates, {
         new: true,
         runValidators: true,
       })
         .populate("createdBy", "name email avatarUrl")
         .populate("assignees", "_id name email avatarUrl");
 
-      const assignees = updatedTask.assignees || [];
-
-      for (const assignee of assignees) {
-        const notification = new Notification({
-          userId: assignee._id,
-          type: "task_updated",
-          title: "Task Updated",
-          message: `Task "${updatedTask.title}" was updated by ${req.dbUser.name}.`,
-          payload: {
-            taskId: updatedTask._id,
-            projectId: updatedTask.projectId,
-            workspaceId: updatedTask.workspaceId,
-            actorId: req.dbUser._id,
-          },
+      if (updates.status !== undefined && updatedTask.parentTaskId) {
+        await rollUpProgress(updatedTask.parentTaskId);
+      }
+
+      if (
+        updatedTask.statusCategory === "done" &&
+        task.statusCategory !== "done"
+      ) {
+        await notifyBlockerCompleted({
+          blocker: updatedTask,
+          workspaceId: req.workspace._id,
+          actor: req.dbUser,
+        });
+      }
+
+      const changes = diffFields(task, updatedTask, TRACKED_TASK_FIELDS);
+      const room = `project:${updatedTask.projectId}`;
+
+      await recordTaskActivity({
+        task: updatedTask,
+        workspaceId: req.workspace._id,
+        actorId: req.dbUser._id,
+        action: "updated",
+        changes,
+      });
+
+      emitToRoom(room, "task:updated", {
+        taskId: updatedTask._id,
+        projectId: updatedTask.projectId,
+        changes,
+        task: updatedTask,
+        actorId: req.dbUser._id,
+      });
+
+      if (changes.status) {
+        emitToRoom(room, "task:moved", {
+          taskId: updatedTask._id,
+          projectId: updatedTask.projectId,
+          fromStatus: changes.status.from,
+          toStatus: changes.status.to,
+          rank: updatedTask.rank,
+          actorId: req.dbUser._id,
         });
-        await notification.save();
       }
 
+      await notify({
+        type: "task_updated",
+        actor: req.dbUser,
+        recipients: updatedTask.assignees,
+        title: "Task Updated",
+        message: `Task "${updatedTask.title}" was updated by ${req.dbUser.name}.`,
+        payload: {
+          taskId: updatedTask._id,
+          projectId: updatedTask.projectId,
+          workspaceId: req.workspace._id,
+        },
+        group: { verb: "updated", target: `"${updatedTask.title}"` },
+      });
+
       res.status(200).json({
         success: true,
         data: updatedTask,
+        ...(warnings && { warnings }),
       });
     } catch (error) {
       console.error("📝 Update task error:", error);
@@ -398,7 +578,7 @@ router.delete(
     try {
       const taskId = req.validated.params.id;
 
-      const task = await Task.findByIdAndDelete({ _id: taskId });
+      const task = await findTaskInWorkspace(taskId, req.workspace._id);
 
       if (!task) {
         return res.status(404).json({
@@ -406,23 +586,41 @@ router.delete(
         });
       }
 
-      const assignees = task.assignees || [];
-      for (const assignee of assignees) {
-        const notification = new Notification({
-          userId: assignee._id,
-          type: "task_deleted",
-          title: "Task Deleted",
-          message: `Task "${task.title}" was deleted by ${req.dbUser.name}.`,
-          payload: {
-            taskId: task._id,
-            projectId: task.projectId,
-            workspaceId: task.workspaceId,
-            actorId: req.dbUser._id,
-          },
-        });
-        await notification.save();
+      // Subtasks go to the trash together with their parent
+      const descendantIds = await softDeleteTask(task, req.dbUser._id);
+
+      if (task.parentTaskId) {
+        await rollUpProgress(task.parentTaskId);
       }
 
+      await recordTaskActivity({
+        task,
+        workspaceId: req.workspace._id,
+        actorId: req.dbUser._id,
+        action: "deleted",
+        changes: diffFields(task, null, TRACKED_TASK_FIELDS),
+      });
+
+      emitToRoom(`project:${task.projectId}`, "task:deleted", {
+        taskId: task._id,
+        projectId: task.projectId,
+        deletedSubtaskIds: descendantIds,
+        actorId: req.dbUser._id,
+      });
+
+      await notify({
+        type: "task_deleted",
+        actor: req.dbUser,
+        recipients: task.assignees,
+        title: "Task Deleted",
+        message: `Task "${task.title}" was deleted by ${req.dbUser.name}.`,
+        payload: {
+          taskId: task._id,
+          projectId: task.projectId,
+          workspaceId: req.workspace._id,
+        },
+      });
+
       res.status(204).json({
         success: true,
         data: null,
@@ -436,51 +634,1159 @@ router.delete(
   }
 );
 
-// AI endpoints
+const moveTaskSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  body: z.object({
+    status: commonSchemas.status.optional(),
+    // The moved task is placed after `afterId` and before `beforeId`
+    afterId: commonSchemas.mongoId.nullable().optional(),
+    beforeId: commonSchemas.mongoId.nullable().optional(),
+    ignoreBlockers: z.boolean().optional(),
+  }),
+});
+
 router.post(
-  "/:id/ai/summarize",
-  requireWorkspaceRole("member"),
+  "/:id/move",
+  validate(moveTaskSchema),
+  requireWorkspaceRole("manager"),
   async (req, res) => {
     try {
-      await aiQueue.add("summary", { taskId: req.params.id });
+      const { afterId, beforeId, ignoreBlockers } = req.validated.body;
+      let warnings;
+
+      const task = await findTaskInWorkspace(
+        req.validated.params.id,
+        req.workspace._id
+      );
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+
+      if (afterId === task._id.toString() || beforeId === task._id.toString()) {
+        return res.status(400).json({
+          message: "A task cannot be positioned relative to itself",
+        });
+      }
+
+      const [afterTask, beforeTask] = await Promise.all([
+        afterId ? Task.findById(afterId).select("projectId status rank") : null,
+        beforeId
+          ? Task.findById(beforeId).select("projectId status rank")
+          : null,
+      ]);
+
+      if ((afterId && !afterTask) || (beforeId && !beforeTask)) {
+        return res.status(404).json({ message: "Neighbour task not found" });
+      }
+
+      const status =
+        req.validated.body.status ??
+        afterTask?.status ??
+        beforeTask?.status ??
+        task.status;
+
+      // Neighbours must live in the destination column
+      const neighbours = [afterTask, beforeTask].filter(Boolean);
+      if (
+        neighbours.some(
+          (n) =>
+            n.projectId.toString() !== task.projectId.toString() ||
+            n.status !== status
+        )
+      ) {
+        return res.status(400).json({
+          message: "Neighbour tasks must be in the destination column",
+        });
+      }
+
+      const project = await Project.findById(task.projectId);
+
+      if (status !== task.status) {
+        const statusError = getStatusChangeError(project, task, status, {
+          role: req.membership.role,
+          assignees: task.assignees,
+        });
+        if (statusError) {
+          return res.status(statusError.httpStatus).json(statusError.body);
+        }
+
+        const blockerCheck = await checkOpenBlockers(
+          task,
+          getStatusCategory(project, status),
+          ignoreBlockers
+        );
+        if (blockerCheck.error) {
+          return res.status(409).json(blockerCheck.error);
+        }
+        warnings = blockerCheck.warnings;
+      }
+
+      // Fill in the missing neighbour so the task lands right next to the other
+      let lowerRank = afterTask?.rank ?? null;
+      let upperRank = beforeTask?.rank ?? null;
+
+      if (afterTask && !beforeTask) {
+        const next = await Task.findOne({
+          projectId: task.projectId,
+          status,
+          rank: { $gt: lowerRank },
+          _id: { $ne: task._id },
+        })
+          .sort({ rank: 1 })
+          .select("rank");
+        upperRank = next?.rank ?? null;
+      } else if (beforeTask && !afterTask) {
+        const previous = await Task.findOne({
+          projectId: task.projectId,
+          status,
+          rank: { $lt: upperRank },
+          _id: { $ne: task._id },
+        })
+          .sort({ rank: -1 })
+          .select("rank");
+        lowerRank = previous?.rank ?? null;
+      } else if (!afterTask && !beforeTask) {
+        const last = await Task.findOne({
+          projectId: task.projectId,
+          status,
+          _id: { $ne: task._id },
+        })
+          .sort({ rank: -1 })
+          .select("rank");
+        lowerRank = last?.rank ?? null;
+      }
+
+      if (lowerRank && upperRank && lowerRank >= upperRank) {
+        return res.status(409).json({
+          message: "afterId must be positioned above beforeId",
+        });
+      }
+
+      const previousStatus = task.status;
+      const previousCategory = task.statusCategory;
+      const previousRank = task.rank;
+      task.status = status;
+      task.statusCategory = getStatusCategory(project, status);
+      task.rank = rankBetween(lowerRank, upperRank);
+      await task.save();
+
+      const rebalanced = await rebalanceColumnIfNeeded(
+        task.projectId,
+        status,
+        task.rank
+      );
+      if (rebalanced) {
+        task.rank = rebalanced.find(
+          (r) => r.taskId.toString() === task._id.toString()
+        ).rank;
+      }
+
+      if (previousStatus !== status && task.parentTaskId) {
+        await rollUpProgress(task.parentTaskId);
+      }
+
+      if (task.statusCategory === "done" && previousCategory !== "done") {
+        await notifyBlockerCompleted({
+          blocker: task,
+          workspaceId: req.workspace._id,
+          actor: req.dbUser,
+        });
+      }
+
+      await recordTaskActivity({
+        task,
+        workspaceId: req.workspace._id,
+        actorId: req.dbUser._id,
+        action: "moved",
+        changes: diffFields(
+          { status: previousStatus, rank: previousRank },
+          task,
+          ["status", "rank"]
+        ),
+      });
+
+      emitToRoom(`project:${task.projectId}`, "task:moved", {
+        taskId: task._id,
+        projectId: task.projectId,
+        fromStatus: previousStatus,
+        toStatus: status,
+        rank: task.rank,
+        afterId: afterId ?? null,
+        beforeId: beforeId ?? null,
+        actorId: req.dbUser._id,
+      });
+
       res.json({
         success: true,
-        message: "AI summarization queued",
+        data: {
+          _id: task._id,
+          status: task.status,
+          rank: task.rank,
+          previousStatus,
+        },
+        ...(warnings && { warnings }),
       });
     } catch (error) {
-      console.error("🤖 AI summarize error:", error);
+      console.error("📝 Move task error:", error);
       res.status(500).json({
-        message: "Failed to queue AI summarization",
+        message: "Failed to move task",
       });
     }
   }
 );
 
 router.post(
-  "/:id/ai/subtasks",
-  requireWorkspaceRole("member"),
+  "/:id/restore",
+  validate(deleteTaskSchema),
+  requireWorkspaceRole("manager"),
+  async (req, res) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.validated.params.id,
+        deletedAt: { $ne: null },
+      });
+
+      const project =
+        task &&
+        (await Project.findById(task.projectId).setOptions({
+          withDeleted: true,
+        }));
+
+      if (
+        !project ||
+        project.workspaceId.toString() !== req.workspace._id.toString()
+      ) {
+        return res.status(404).json({ message: "Task not found in trash" });
+      }
+
+      if (task.deletedWith) {
+        return res.status(409).json({
+          message:
+            "This task was deleted together with its parent task or project. Restore that instead.",
+          deletedWith: task.deletedWith,
+        });
+      }
+
+      if (project.deletedAt) {
+        return res.status(409).json({
+          message: "Restore the task's project first",
+        });
+      }
+
+      if (
+        task.parentTaskId &&
+        !(await Task.exists({ _id: task.parentTaskId }))
+      ) {
+        return res.status(409).json({
+          message: "Restore the parent task first",
+        });
+      }
+
+      await restoreTask(task);
+
+      if (task.parentTaskId) {
+        await rollUpProgress(task.parentTaskId);
+      }
+
+      const restoredTask = await Task.findById(task._id)
+        .populate("createdBy", "name email avatarUrl")
+        .populate("assignees", "_id name email avatarUrl");
+
+      await recordTaskActivity({
+        task: restoredTask,
+        workspaceId: req.workspace._id,
+        actorId: req.dbUser._id,
+        action: "restored",
+        changes: { deletedAt: { from: task.deletedAt, to: null } },
+      });
+
+      emitToRoom(`project:${restoredTask.projectId}`, "task:restored", {
+        task: restoredTask,
+        actorId: req.dbUser._id,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: restoredTask,
+      });
+    } catch (error) {
+      console.error("📝 Restore task error:", error);
+      res.status(500).json({
+        message: "Failed to restore task",
+      });
+    }
+  }
+);
+
+router.get(
+  "/:id/transitions",
+  validate(deleteTaskSchema),
+  requireWorkspaceRole("viewer"),
   async (req, res) => {
     try {
-      await aiQueue.add("subtasks", { taskId: req.params.id });
+      const task = await findTaskInWorkspace(
+        req.validated.params.id,
+        req.workspace._id
+      );
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+
+      const project = await Project.findById(task.projectId);
+
       res.json({
         success: true,
-        message: "AI subtask generation queued",
+        data: {
+          status: task.status,
+          allowedNextStatuses: getAllowedNextStatuses(project, task.status, {
+            role: req.membership.role,
+            assignees: task.assignees,
+          }),
+        },
       });
     } catch (error) {
-      console.error("🤖 AI subtasks error:", error);
+      console.error("📝 Get task transitions error:", error);
       res.status(500).json({
-        message: "Failed to queue AI subtask generation",
+        message: "Failed to fetch task transitions",
       });
     }
   }
 );
 
-router.post(
-  "/:id/ai/priority",
-  requireWorkspaceRole("member"),
+const getTaskActivitySchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  query: z.object({
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    before: commonSchemas.mongoId.optional(),
+  }),
+});
+
+router.get(
+  "/:id/activity",
+  validate(getTaskActivitySchema),
+  requireWorkspaceRole("viewer"),
   async (req, res) => {
     try {
-      await aiQueue.add("priority", { taskId: req.params.id });
+      const { id } = req.validated.params;
+      const { limit, before } = req.validated.query;
+
+      // History stays readable after the task itself is deleted
+      const task = await findTaskInWorkspace(id, req.workspace._id);
+      const hasHistory =
+        task ||
+        (await TaskActivity.exists({
+          taskId: id,
+          workspaceId: req.workspace._id,
+        }));
+
+      if (!hasHistory) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+
+      const filter = { taskId: id };
+      if (before) filter._id = { $lt: before };
+
+      const activity = await TaskActivity.find(filter)
+        .populate("actorId", "_id name email avatarURL")
+        .sort({ _id: -1 })
+        .limit(limit + 1);
+
+      const hasMore = activity.length > limit;
+      const items = hasMore ? activity.slice(0, limit) : activity;
+
+      res.json({
+        success: true,
+        data: items,
+        nextCursor: hasMore ? items[items.length - 1]._id : null,
+      });
+    } catch (error) {
+      console.error("📝 Get task activity error:", error);
+      res.status(500).json({
+        message: "Failed to fetch task activity",
+      });
+    }
+  }
+);
+
+// Subtask endpoints
+const taskIdParamsSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+});
+
+const createSubtaskSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  body: z.object({
+    title: z.string().min(1).max(200),
+    description: z.string().max(2000).optional(),
+    priority: commonSchemas.priority.optional(),
+    status: commonSchemas.status.optional(),
+    dueDate: z.string().nullable().optional(),
+    estimate: z.number().positive().optional(),
+    tags: z.array(z.string()).optional(),
+    assignees: z.array(commonSchemas.mongoId).optional(),
+  }),
+});
+
+const reorderSubtasksSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  body: z.object({
+    order: z.array(commonSchemas.mongoId).min(1),
+  }),
+});
+
+const acceptSuggestionsSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  body: z.object({
+    suggestions: z.array(z.string().min(1).max(200)).min(1),
+    assignees: z.array(commonSchemas.mongoId).optional(),
+  }),
+});
+
+router.get(
+  "/:id/subtasks",
+  validate(taskIdParamsSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const parent = await findTaskInWorkspace(
+        req.validated.params.id,
+        req.workspace._id
+      );
+      if (!parent) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+
+      const subtasks = await Task.find({ parentTaskId: parent._id })
+        .populate("createdBy", "_id name email avatarURL")
+        .populate("assignees", "_id name email avatarURL")
+        .sort({ subtaskOrder: 1, createdAt: 1 });
+
+      res.json({
+        success: true,
+        data: subtasks,
+      });
+    } catch (error) {
+      console.error("📝 Get subtasks error:", error);
+      res.status(500).json({
+        message: "Failed to fetch subtasks",
+      });
+    }
+  }
+);
+
+router.post(
+  "/:id/subtasks",
+  validate(createSubtaskSchema),
+  requireWorkspaceRole("manager"),
+  async (req, res) => {
+    try {
+      const subtaskData = req.validated.body;
+
+      const parent = await findTaskInWorkspace(
+        req.validated.params.id,
+        req.workspace._id
+      );
+      if (!parent) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+
+      const project = await Project.findById(parent.projectId);
+      subtaskData.status = subtaskData.status ?? getInitialStatus(project);
+      const statusCategory = getStatusCategory(project, subtaskData.status);
+      if (!statusCategory) {
+        return res
+          .status(422)
+          .json(invalidStatusBody(project, subtaskData.status));
+      }
+
+      const siblingCount = await Task.countDocuments({
+        parentTaskId: parent._id,
+      });
+
+      const subtask = await Task.create({
+        ...subtaskData,
+        statusCategory,
+        projectId: parent.projectId,
+        parentTaskId: parent._id,
+        subtaskOrder: siblingCount,
+        rank: await rankAtColumnEnd(parent.projectId, subtaskData.status),
+        createdBy: req.dbUser._id,
+        dueDate: subtaskData.dueDate
+          ? new Date(subtaskData.dueDate)
+          : undefined,
+      });
+
+      await rollUpProgress(parent._id);
+
+      await recordTaskActivity({
+        task: subtask,
+        workspaceId: req.workspace._id,
+        actorId: req.dbUser._id,
+        action: "created",
+        changes: diffFields(null, subtask, TRACKED_TASK_FIELDS),
+      });
+
+      const populatedSubtask = await Task.findById(subtask._id)
+        .populate("createdBy", "name email avatarUrl")
+        .populate("assignees", "_id name email avatarUrl");
+
+      await notify({
+        type: "task_assigned",
+        actor: req.dbUser,
+        recipients: populatedSubtask.assignees,
+        title: "Task Assigned",
+        message: `Subtask "${populatedSubtask.title}" of "${parent.title}" was assigned by ${req.dbUser.name}.`,
+        payload: {
+          taskId: populatedSubtask._id,
+          projectId: populatedSubtask.projectId,
+          workspaceId: req.workspace._id,
+        },
+      });
+
+      emitToRoom(`project:${populatedSubtask.projectId}`, "task:created", {
+        task: populatedSubtask,
+        actorId: req.dbUser._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: populatedSubtask,
+      });
+    } catch (error) {
+      console.error("📝 Create subtask error:", error);
+      res.status(500).json({
+        message: "Failed to create subtask",
+      });
+    }
+  }
+);
+
+router.patch(
+  "/:id/subtasks/reorder",
+  validate(reorderSubtasksSchema),
+  requireWorkspaceRole("manager"),
+  async (req, res) => {
+    try {
+      const { order } = req.validated.body;
+
+      const parent = await findTaskInWorkspace(
+        req.validated.params.id,
+        req.workspace._id
+      );
+      if (!parent) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+
+      const children = await Task.find({ parentTaskId: parent._id }).select(
+        "_id"
+      );
+      const childIds = new Set(children.map((c) => c._id.toString()));
+
+      // The new order must be a permutation of the current children
+      if (
+        new Set(order).size !== order.length ||
+        order.length !== childIds.size ||
+        !order.every((id) => childIds.has(id))
+      ) {
+        return res.status(400).json({
+          message: "Order must list every subtask of this task exactly once",
+        });
+      }
+
+      await Task.bulkWrite(
+        order.map((id, index) => ({
+          updateOne: {
+            filter: { _id: id, parentTaskId: parent._id },
+            update: { $set: { subtaskOrder: index } },
+          },
+        }))
+      );
+
+      const subtasks = await Task.find({ parentTaskId: parent._id })
+        .populate("createdBy", "_id name email avatarURL")
+        .populate("assignees", "_id name email avatarURL")
+        .sort({ subtaskOrder: 1, createdAt: 1 });
+
+      emitToRoom(`project:${parent.projectId}`, "task:subtasks_reordered", {
+        taskId: parent._id,
+        projectId: parent.projectId,
+        order,
+        actorId: req.dbUser._id,
+      });
+
+      res.json({
+        success: true,
+        data: subtasks,
+      });
+    } catch (error) {
+      console.error("📝 Reorder subtasks error:", error);
+      res.status(500).json({
+        message: "Failed to reorder subtasks",
+      });
+    }
+  }
+);
+
+router.post(
+  "/:id/subtasks/accept-suggestions",
+  validate(acceptSuggestionsSchema),
+  requireWorkspaceRole("manager"),
+  async (req, res) => {
+    try {
+      const { suggestions, assignees } = req.validated.body;
+
+      const parent = await findTaskInWorkspace(
+        req.validated.params.id,
+        req.workspace._id
+      );
+      if (!parent) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+
+      const suggested = parent.ai?.suggestedSubtasks || [];
+      const unknown = suggestions.filter((s) => !suggested.includes(s));
+
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          message: "Some suggestions do not exist on this task",
+          errors: unknown,
+        });
+      }
+
+      // Skip suggestions that were already turned into subtasks
+      const existing = await Task.find({ parentTaskId: parent._id }).select(
+        "title"
+      );
+      const existingTitles = new Set(existing.map((t) => t.title));
+      const selected = [...new Set(suggestions)].filter(
+        (s) => !existingTitles.has(s)
+      );
+
+      if (selected.length === 0) {
+        return res.status(409).json({
+          message: "Selected suggestions were already accepted",
+        });
+      }
+
+      const siblingCount = existing.length;
+      const project = await Project.findById(parent.projectId);
+      const status = getInitialStatus(project);
+
+      const ranks = [await rankAtColumnEnd(parent.projectId, status)];
+      while (ranks.length < selected.length) {
+        ranks.push(rankBetween(ranks[ranks.length - 1], null));
+      }
+
+      const subtasks = await Task.insertMany(
+        selected.map((title, index) => ({
+          projectId: parent.projectId,
+          parentTaskId: parent._id,
+          subtaskOrder: siblingCount + index,
+          title,
+          status,
+          statusCategory: getStatusCategory(project, status),
+          rank: ranks[index],
+          priority: parent.priority,
+          assignees: assignees ?? parent.assignees,
+          createdBy: req.dbUser._id,
+        }))
+      );
+
+      await rollUpProgress(parent._id);
+
+      for (const subtask of subtasks) {
+        await recordTaskActivity({
+          task: subtask,
+          workspaceId: req.workspace._id,
+          actorId: req.dbUser._id,
+          action: "created",
+          changes: diffFields(null, subtask, TRACKED_TASK_FIELDS),
+        });
+
+        emitToRoom(`project:${parent.projectId}`, "task:created", {
+          task: subtask,
+          actorId: req.dbUser._id,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: subtasks,
+      });
+    } catch (error) {
+      console.error("📝 Accept subtask suggestions error:", error);
+      res.status(500).json({
+        message: "Failed to accept subtask suggestions",
+      });
+    }
+  }
+);
+
+// Dependency endpoints
+const addDependencySchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  body: z.object({
+    blockerId: commonSchemas.mongoId,
+  }),
+});
+
+const removeDependencySchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+    blockerId: commonSchemas.mongoId,
+  }),
+});
+
+const DEPENDENCY_FIELDS = "_id title status statusCategory priority projectId";
+
+router.get(
+  "/:id/dependencies",
+  validate(taskIdParamsSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const task = await findTaskInWorkspace(
+        req.validated.params.id,
+        req.workspace._id
+      );
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+
+      const [blockedBy, blocks] = await Promise.all([
+        Task.find({ _id: { $in: task.blockedBy } }).select(DEPENDENCY_FIELDS),
+        Task.find({ blockedBy: task._id }).select(DEPENDENCY_FIELDS),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          blockedBy,
+          blocks,
+          isBlocked: blockedBy.some((t) => t.statusCategory !== "done"),
+        },
+      });
+    } catch (error) {
+      console.error("📝 Get dependencies error:", error);
+      res.status(500).json({
+        message: "Failed to fetch task dependencies",
+      });
+    }
+  }
+);
+
+router.post(
+  "/:id/dependencies",
+  validate(addDependencySchema),
+  requireWorkspaceRole("manager"),
+  async (req, res) => {
+    try {
+      const { id } = req.validated.params;
+      const { blockerId } = req.validated.body;
+
+      if (blockerId === id) {
+        return res.status(400).json({
+          message: "A task cannot block itself",
+        });
+      }
+
+      const [task, blocker] = await Promise.all([
+        findTaskInWorkspace(id, req.workspace._id),
+        findTaskInWorkspace(blockerId, req.workspace._id),
+      ]);
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+      if (!blocker) {
+        return res.status(404).json({ message: "Blocking task not found" });
+      }
+
+      if (task.blockedBy.some((b) => b.toString() === blockerId)) {
+        return res.status(409).json({
+          message: "Dependency already exists",
+        });
+      }
+
+      // The new link closes a cycle if the blocker already waits on the task
+      const path = await findBlockingPath(blocker._id, task._id);
+      if (path) {
+        return res.status(409).json({
+          code: "dependency_cycle",
+          message: "Dependency would create a cycle",
+          cycle: [task._id.toString(), ...path],
+        });
+      }
+
+      const updatedTask = await Task.findByIdAndUpdate(
+        task._id,
+        { $addToSet: { blockedBy: blocker._id } },
+        { new: true }
+      );
+
+      const changes = diffFields(task, updatedTask, ["blockedBy"]);
+
+      await recordTaskActivity({
+        task: updatedTask,
+        workspaceId: req.workspace._id,
+        actorId: req.dbUser._id,
+        action: "updated",
+        changes,
+      });
+
+      emitToRoom(`project:${updatedTask.projectId}`, "task:updated", {
+        taskId: updatedTask._id,
+        projectId: updatedTask.projectId,
+        changes,
+        task: updatedTask,
+        actorId: req.dbUser._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: updatedTask,
+      });
+    } catch (error) {
+      console.error("📝 Add dependency error:", error);
+      res.status(500).json({
+        message: "Failed to add task dependency",
+      });
+    }
+  }
+);
+
+router.delete(
+  "/:id/dependencies/:blockerId",
+  validate(removeDependencySchema),
+  requireWorkspaceRole("manager"),
+  async (req, res) => {
+    try {
+      const { id, blockerId } = req.validated.params;
+
+      const task = await findTaskInWorkspace(id, req.workspace._id);
+      if (!task || !task.blockedBy.some((b) => b.toString() === blockerId)) {
+        return res.status(404).json({ message: "Dependency not found" });
+      }
+
+      const updatedTask = await Task.findByIdAndUpdate(
+        task._id,
+        { $pull: { blockedBy: blockerId } },
+        { new: true }
+      );
+
+      const changes = diffFields(task, updatedTask, ["blockedBy"]);
+
+      await recordTaskActivity({
+        task: updatedTask,
+        workspaceId: req.workspace._id,
+        actorId: req.dbUser._id,
+        action: "updated",
+        changes,
+      });
+
+      emitToRoom(`project:${updatedTask.projectId}`, "task:updated", {
+        taskId: updatedTask._id,
+        projectId: updatedTask.projectId,
+        changes,
+        task: updatedTask,
+        actorId: req.dbUser._id,
+      });
+
+      res.status(204).json({
+        success: true,
+        data: null,
+      });
+    } catch (error) {
+      console.error("📝 Remove dependency error:", error);
+      res.status(500).json({
+        message: "Failed to remove task dependency",
+      });
+    }
+  }
+);
+
+// Attachment endpoints
+const attachmentParamsSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+    attachmentId: commonSchemas.mongoId,
+  }),
+});
+
+// Uploaders manage their own files; managers and admins manage all
+const canManageAttachment = (req, attachment) =>
+  attachment.uploadedBy?.toString() === req.dbUser._id.toString() ||
+  ROLE_HIERARCHY[req.membership.role] >= ROLE_HIERARCHY.manager;
+
+const findAttachment = (task, attachmentId) =>
+  task?.attachments.find((a) => a._id.toString() === attachmentId);
+
+router.get(
+  "/:id/attachments",
+  validate(taskIdParamsSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const task = await findTaskInWorkspace(
+        req.validated.params.id,
+        req.workspace._id
+      );
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+
+      const attachments = await Promise.all(
+        task.attachments.map(serializeAttachment)
+      );
+
+      res.json({
+        success: true,
+        data: attachments,
+      });
+    } catch (error) {
+      console.error("📎 Get attachments error:", error);
+      res.status(500).json({
+        message: "Failed to fetch attachments",
+      });
+    }
+  }
+);
+
+// multipart/form-data with one or more `files`; workspaceId goes in the query
+// string because the body is only parsed after access is checked
+router.post(
+  "/:id/attachments",
+  validate(taskIdParamsSchema),
+  requireWorkspaceRole("member"),
+  uploadAttachments,
+  async (req, res) => {
+    try {
+      if (!req.files?.length) {
+        return res.status(400).json({ message: "No files uploaded" });
+      }
+
+      const task = await findTaskInWorkspace(
+        req.validated.params.id,
+        req.workspace._id
+      );
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+
+      const storage = getStorage();
+      const attachments = [];
+      try {
+        for (const file of req.files) {
+          const _id = new Types.ObjectId();
+          const storageKey = buildStorageKey(task._id, _id);
+          await storage.put(storageKey, file.buffer, {
+            contentType: file.mimetype,
+          });
+          attachments.push({
+            _id,
+            name: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+            storageKey,
+            storage: storage.name,
+            uploadedBy: req.dbUser._id,
+            uploadedAt: new Date(),
+          });
+        }
+
+        await Task.updateOne(
+          { _id: task._id },
+          { $push: { attachments: { $each: attachments } } }
+        );
+      } catch (error) {
+        // Don't leave files behind that no task points to
+        await deleteAttachmentFiles(attachments);
+        throw error;
+      }
+
+      await recordTaskActivity({
+        task,
+        workspaceId: req.workspace._id,
+        actorId: req.dbUser._id,
+        action: "attachment_added",
+        changes: {
+          attachments: { from: null, to: attachments.map((a) => a.name) },
+        },
+      });
+
+      const data = await Promise.all(attachments.map(serializeAttachment));
+
+      emitToRoom(`project:${task.projectId}`, "attachment:added", {
+        taskId: task._id,
+        projectId: task.projectId,
+        attachments: data.map(
+          ({ url, expiresAt, ...attachment }) => attachment
+        ),
+        actorId: req.dbUser._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      console.error("📎 Upload attachments error:", error);
+      res.status(500).json({
+        message: "Failed to upload attachments",
+      });
+    }
+  }
+);
+
+// A fresh signed download URL for one attachment
+router.get(
+  "/:id/attachments/:attachmentId",
+  validate(attachmentParamsSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const { id, attachmentId } = req.validated.params;
+
+      const task = await findTaskInWorkspace(id, req.workspace._id);
+      const attachment = findAttachment(task, attachmentId);
+      if (!attachment) {
+        return res.status(404).json({ message: "Attachment not found" });
+      }
+
+      res.json({
+        success: true,
+        data: await serializeAttachment(attachment),
+      });
+    } catch (error) {
+      console.error("📎 Get attachment error:", error);
+      res.status(500).json({
+        message: "Failed to fetch attachment",
+      });
+    }
+  }
+);
+
+router.delete(
+  "/:id/attachments/:attachmentId",
+  validate(attachmentParamsSchema),
+  requireWorkspaceRole("member"),
+  async (req, res) => {
+    try {
+      const { id, attachmentId } = req.validated.params;
+
+      const task = await findTaskInWorkspace(id, req.workspace._id);
+      const attachment = findAttachment(task, attachmentId);
+      if (!attachment) {
+        return res.status(404).json({ message: "Attachment not found" });
+      }
+
+      if (!canManageAttachment(req, attachment)) {
+        return res.status(403).json({
+          message: "Only the uploader or a manager can delete this attachment",
+        });
+      }
+
+      await Task.updateOne(
+        { _id: task._id },
+        { $pull: { attachments: { _id: attachment._id } } }
+      );
+      await deleteAttachmentFiles([attachment]);
+
+      await recordTaskActivity({
+        task,
+        workspaceId: req.workspace._id,
+        actorId: req.dbUser._id,
+        action: "attachment_removed",
+        changes: { attachments: { from: [attachment.name], to: null } },
+      });
+
+      emitToRoom(`project:${task.projectId}`, "attachment:removed", {
+        taskId: task._id,
+        projectId: task.projectId,
+        attachmentId: attachment._id,
+        actorId: req.dbUser._id,
+      });
+
+      res.status(204).json({
+        success: true,
+        data: null,
+      });
+    } catch (error) {
+      console.error("📎 Delete attachment error:", error);
+      res.status(500).json({
+        message: "Failed to delete attachment",
+      });
+    }
+  }
+);
+
+// AI endpoints
+router.post(
+  "/:id/ai/summarize",
+  requireWorkspaceRole("member"),
+  async (req, res) => {
+    try {
+      await aiQueue.add("summary", {
+        taskId: req.params.id,
+        requestedBy: req.dbUser._id.toString(),
+      });
+      res.json({
+        success: true,
+        message: "AI summarization queued",
+      });
+    } catch (error) {
+      console.error("🤖 AI summarize error:", error);
+      res.status(500).json({
+        message: "Failed to queue AI summarization",
+      });
+    }
+  }
+);
+
+router.post(
+  "/:id/ai/subtasks",
+  requireWorkspaceRole("member"),
+  async (req, res) => {
+    try {
+      await aiQueue.add("subtasks", {
+        taskId: req.params.id,
+        requestedBy: req.dbUser._id.toString(),
+      });
+      res.json({
+        success: true,
+        message: "AI subtask generation queued",
+      });
+    } catch (error) {
+      console.error("🤖 AI subtasks error:", error);
+      res.status(500).json({
+        message: "Failed to queue AI subtask generation",
+      });
+    }
+  }
+);
+
+router.post(
+  "/:id/ai/priority",
+  requireWorkspaceRole("member"),
+  async (req, res) => {
+    try {
+      await aiQueue.add("priority", {
+        taskId: req.params.id,
+        requestedBy: req.dbUser._id.toString(),
+      });
       res.json({
         success: true,
         message: "AI priority suggestion queued",
@@ -0,0 +1,352 @@
+const express = require("express");
+const router = express.Router();
+const SavedView = require("../models/SavedView");
+const Project = require("../models/Project");
+const { requireWorkspaceRole, ROLE_HIERARCHY } = require("../middleware/rbac");
+const { validate, z, commonSchemas } = require("../middleware/validate");
+const {
+  buildTaskFilter,
+  cursorMatchesSort,
+  findTaskPage,
+} = require("../utils/task-query");
+
+const viewBody = {
+  name: z.string().trim().min(1).max(100),
+  projectId: commonSchemas.mongoId.nullable(),
+  visibility: z.enum(["private", "workspace"]),
+  filters: commonSchemas.taskFilters.strict(),
+  sort: commonSchemas.taskSort,
+};
+
+const listViewsSchema = z.object({
+  query: z.object({
+    workspaceId: commonSchemas.mongoId,
+    projectId: commonSchemas.mongoId.optional(),
+  }),
+});
+
+const createViewSchema = z.object({
+  body: z.object({
+    workspaceId: commonSchemas.mongoId,
+    name: viewBody.name,
+    projectId: viewBody.projectId.optional(),
+    visibility: viewBody.visibility.default("private"),
+    filters: viewBody.filters.default({}),
+    sort: viewBody.sort.default("rank"),
+  }),
+});
+
+const viewIdSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  query: z.object({
+    workspaceId: commonSchemas.mongoId,
+  }),
+});
+
+const updateViewSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  body: z.object({
+    workspaceId: commonSchemas.mongoId,
+    name: viewBody.name.optional(),
+    projectId: viewBody.projectId.optional(),
+    visibility: viewBody.visibility.optional(),
+    filters: viewBody.filters.optional(),
+    sort: viewBody.sort.optional(),
+  }),
+});
+
+const viewTasksSchema = z.object({
+  params: z.object({
+    id: commonSchemas.mongoId,
+  }),
+  query: z.object({
+    workspaceId: commonSchemas.mongoId,
+    cursor: commonSchemas.cursor.optional(),
+    limit: z.coerce.number().int().min(1).max(200).default(50),
+  }),
+});
+
+// Own views plus the ones shared with the workspace
+const visibleViewsFilter = (req) => ({
+  workspaceId: req.workspace._id,
+  $or: [{ ownerId: req.dbUser._id }, { visibility: "workspace" }],
+});
+
+const findVisibleView = (req, id) =>
+  SavedView.findOne({ _id: id, ...visibleViewsFilter(req) });
+
+const isViewOwner = (req, view) =>
+  view.ownerId.toString() === req.dbUser._id.toString();
+
+// Shared views can be changed by their owner or a manager; only the owner
+// decides who sees them
+const canManageView = (req, view) =>
+  isViewOwner(req, view) ||
+  (view.visibility === "workspace" &&
+    ROLE_HIERARCHY[req.membership.role] >= ROLE_HIERARCHY.manager);
+
+// Sharing a view with the workspace requires at least the member role
+const canShare = (req) =>
+  ROLE_HIERARCHY[req.membership.role] >= ROLE_HIERARCHY.member;
+
+const projectInWorkspace = (projectId, workspaceId) =>
+  Project.exists({ _id: projectId, workspaceId });
+
+router.get(
+  "/",
+  validate(listViewsSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.validated.query;
+
+      const filter = visibleViewsFilter(req);
+      if (projectId) filter.projectId = { $in: [projectId, null] };
+
+      const views = await SavedView.find(filter)
+        .populate("ownerId", "_id name email avatarURL")
+        .sort({ name: 1 });
+
+      res.status(200).json({
+        success: true,
+        data: views,
+      });
+    } catch (error) {
+      console.error("🗂️ List views error:", error);
+      res.status(500).json({
+        message: "Failed to fetch views",
+      });
+    }
+  }
+);
+
+router.post(
+  "/",
+  validate(createViewSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const { workspaceId, name, projectId, visibility, filters, sort } =
+        req.validated.body;
+
+      if (visibility === "workspace" && !canShare(req)) {
+        return res.status(403).json({
+          message: "Viewers cannot share views with the workspace",
+        });
+      }
+
+      if (projectId && !(await projectInWorkspace(projectId, workspaceId))) {
+        return res.status(404).json({ message: "Project not found" });
+      }
+
+      const view = await SavedView.create({
+        workspaceId,
+        projectId: projectId || null,
+        ownerId: req.dbUser._id,
+        name,
+        visibility,
+        filters,
+        sort,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: view,
+      });
+    } catch (error) {
+      console.error("🗂️ Create view error:", error);
+      res.status(500).json({
+        message: "Failed to create view",
+      });
+    }
+  }
+);
+
+router.get(
+  "/:id",
+  validate(viewIdSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const view = await findVisibleView(req, req.validated.params.id);
+
+      if (!view) {
+        return res.status(404).json({ message: "View not found" });
+      }
+
+      await view.populate("ownerId", "_id name email avatarURL");
+
+      res.status(200).json({
+        success: true,
+        data: view,
+      });
+    } catch (error) {
+      console.error("🗂️ Get view error:", error);
+      res.status(500).json({
+        message: "Failed to fetch view",
+      });
+    }
+  }
+);
+
+router.patch(
+  "/:id",
+  validate(updateViewSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const { workspaceId, ...updates } = req.validated.body;
+
+      const view = await findVisibleView(req, req.validated.params.id);
+
+      if (!view) {
+        return res.status(404).json({ message: "View not found" });
+      }
+
+      if (!canManageView(req, view)) {
+        return res.status(403).json({
+          message: "Only the owner or a manager can change this view",
+        });
+      }
+
+      if (
+        updates.visibility !== undefined &&
+        updates.visibility !== view.visibility &&
+        !isViewOwner(req, view)
+      ) {
+        return res.status(403).json({
+          message: "Only the owner can change who sees this view",
+        });
+      }
+
+      if (updates.visibility === "workspace" && !canShare(req)) {
+        return res.status(403).json({
+          message: "Viewers cannot share views with the workspace",
+        });
+      }
+
+      if (
+        updates.projectId &&
+        !(await projectInWorkspace(updates.projectId, workspaceId))
+      ) {
+        return res.status(404).json({ message: "Project not found" });
+      }
+
+      for (const [field, value] of Object.entries(updates)) {
+        if (value !== undefined) view.set(field, value);
+      }
+      // Mixed paths are not change-tracked
+      if (updates.filters) view.markModified("filters");
+
+      await view.save();
+
+      res.status(200).json({
+        success: true,
+        data: view,
+      });
+    } catch (error) {
+      console.error("🗂️ Update view error:", error);
+      res.status(500).json({
+        message: "Failed to update view",
+      });
+    }
+  }
+);
+
+router.delete(
+  "/:id",
+  validate(viewIdSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const view = await findVisibleView(req, req.validated.params.id);
+
+      if (!view) {
+        return res.status(404).json({ message: "View not found" });
+      }
+
+      if (!canManageView(req, view)) {
+        return res.status(403).json({
+          message: "Only the owner or a manager can delete this view",
+        });
+      }
+
+      await view.deleteOne();
+
+      res.status(204).json({
+        success: true,
+        data: null,
+      });
+    } catch (error) {
+      console.error("🗂️ Delete view error:", error);
+      res.status(500).json({
+        message: "Failed to delete view",
+      });
+    }
+  }
+);
+
+// Runs the saved definition with the same workspace scoping as /tasks
+router.get(
+  "/:id/tasks",
+  validate(viewTasksSchema),
+  requireWorkspaceRole("viewer"),
+  async (req, res) => {
+    try {
+      const { cursor, limit } = req.validated.query;
+
+      const view = await findVisibleView(req, req.validated.params.id);
+
+      if (!view) {
+        return res.status(404).json({ message: "View not found" });
+      }
+
+      // Definitions are re-validated in case the filter schema has changed
+      const parsed = commonSchemas.taskFilters.safeParse(view.filters);
+      if (!parsed.success) {
+        return res.status(422).json({
+          message: "Saved view filters are no longer valid",
+        });
+      }
+
+      const query = { ...parsed.data, sort: view.sort, cursor, limit };
+
+      if (!cursorMatchesSort(query)) {
+        return res.status(400).json({
+          message: "Cursor does not match the view's sort",
+        });
+      }
+
+      const match = buildTaskFilter(parsed.data, req.dbUser._id);
+
+      if (view.projectId) {
+        // A view on a project that was moved to the trash returns nothing
+        match.projectId = view.projectId;
+      } else {
+        const projects = await Project.find({
+          workspaceId: req.workspace._id,
+        }).select("_id");
+        match.projectId = { $in: projects.map((p) => p._id) };
+      }
+
+      const { items, nextCursor } = await findTaskPage(match, query);
+
+      res.status(200).json({
+        success: true,
+        data: items,
+        nextCursor,
+      });
+    } catch (error) {
+      console.error("🗂️ Run view error:", error);
+      res.status(500).json({
+        message: "Failed to fetch view tasks",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -6,8 +6,22 @@ const Task = require("../models/Task");
 const User = require("../models/User");
 const Invite = require("../models/Invite");
 const Notification = require("../models/Notification");
+const { notify } = require("../lib/notification-service");
 const { requireWorkspaceRole } = require("../middleware/rbac");
 const { validate, z, commonSchemas } = require("../middleware/validate");
+const { pushNotificationSync } = require("../lib/notification-push");
+const { recordAuditLog } = require("../utils/audit-log");
+const { toCSV } = require("../utils/csv");
+const { escapeRegex } = require("../utils/search");
+const { isValidTimeZone } = require("../utils/timezone");
+const { rescheduleWorkspaceTemplates } = require("../utils/recurring-tasks");
+const AuditLog = require("../models/AuditLog");
+const {
+  getRetentionDays,
+  getPurgeDate,
+  softDeleteWorkspace,
+  restoreWorkspace,
+} = require("../utils/trash");
 
 const createWorkspaceSchema = z.object({
   body: z.object({
@@ -20,9 +34,22 @@ const createWorkspaceSchema = z.object({
 const updateWorkspaceSettingsSchema = z.object({
   body: z.object({
     name: z.string().min(1).max(100),
-    timezone: z.string().optional(),
+    timezone: z
+      .string()
+      .refine(isValidTimeZone, "Invalid IANA time zone")
+      .optional(),
     aiModel: z.string().optional(),
     allowInvites: z.boolean().optional(),
+    reminders: z
+      .object({
+        enabled: z.boolean().optional(),
+        dueSoonHours: z
+          .array(z.number().int().min(1).max(168))
+          .max(5)
+          .optional(),
+        escalateAfterDays: z.number().int().min(0).max(30).optional(),
+      })
+      .optional(),
   }),
   params: z.object({
     workspaceId: commonSchemas.mongoId,
@@ -35,6 +62,18 @@ const deleteWorkspaceSchema = z.object({
   }),
 });
 
+const restoreWorkspaceSchema = z.object({
+  params: z.object({
+    workspaceId: commonSchemas.mongoId,
+  }),
+});
+
+const getTrashSchema = z.object({
+  params: z.object({
+    workspaceId: commonSchemas.mongoId,
+  }),
+});
+
 const getWorkspacesSchema = z.object({
   query: z.object({
     search: z.string().optional(),
@@ -94,7 +133,7 @@ router.get("/", validate(getWorkspacesSchema), async (req, res) => {
     if (typeof search === "string" && search.trim() !== "") {
       queryObj = {
         ...queryObj,
-        name: { $regex: search, $options: "i" },
+        name: { $regex: escapeRegex(search), $options: "i" },
       };
 
       // Select only specific fields for search results
@@ -122,6 +161,36 @@ router.get("/", validate(getWorkspacesSchema), async (req, res) => {
   }
 });
 
+// Deleted workspaces the current user can restore
+router.get("/trash", async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({
+      members: { $elemMatch: { uid: req.dbUser._id, role: "admin" } },
+      deletedAt: { $ne: null },
+    })
+      .select("_id name description color deletedAt deletedBy")
+      .populate("deletedBy", "_id name email avatarURL")
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        retentionDays: getRetentionDays(),
+        workspaces: workspaces.map((workspace) => ({
+          ...workspace,
+          purgeAt: getPurgeDate(workspace.deletedAt),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("🏢 List deleted workspaces error:", error);
+    res.status(500).json({
+      message: "Failed to fetch deleted workspaces",
+    });
+  }
+});
+
 router.get(
   "/:workspaceId/ai-stats",
   validate(getAIStatusSchema),
@@ -319,7 +388,7 @@ router.get(
       const completedTasksWithAI = await Task.countDocuments({
         projectId: { $in: projectIds },
         ai: { $exists: true },
-        status: "done",
+        statusCategory: "done",
       });
 
       const accuracyRate =
@@ -335,7 +404,7 @@ router.get(
       const completedAITasksThisWeek = await Task.countDocuments({
         projectId: { $in: projectIds },
         ai: { $exists: true },
-        status: "done",
+        statusCategory: "done",
         createdAt: { $gte: oneWeekAgo },
       });
 
@@ -353,7 +422,7 @@ router.get(
       const completedAITasksLastWeek = await Task.countDocuments({
         projectId: { $in: projectIds },
         ai: { $exists: true },
-        status: "done",
+        statusCategory: "done",
         createdAt: { $gte: twoWeeksAgo, $lt: oneWeekAgo },
       });
 
@@ -380,7 +449,7 @@ router.get(
       const tasksWithAICompleted = await Task.find({
         projectId: { $in: projectIds },
         ai: { $exists: true },
-        status: "done",
+        statusCategory: "done",
       }).select("createdAt updatedAt");
 
       let totalTimeWithAI = 0;
@@ -398,7 +467,7 @@ router.get(
       const tasksWithoutAICompleted = await Task.find({
         projectId: { $in: projectIds },
         ai: { $exists: false },
-        status: "done",
+        statusCategory: "done",
       }).select("createdAt updatedAt");
 
       let totalTimeWithoutAI = 0;
@@ -427,7 +496,7 @@ router.get(
             _id: null,
             total: { $sum: 1 },
             completed: {
-              $sum: { $cond: [{ $eq: ["$status", "done"] }, 1, 0] },
+              $sum: { $cond: [{ $eq: ["$statusCategory", "done"] }, 1, 0] },
             },
           },
         },
@@ -534,20 +603,40 @@ router.patch(
   async (req, res) => {
     try {
       const { workspaceId } = req.validated.params;
-      const { name, timezone, aiModel, allowInvites } = req.validated.body;
+      const { name, timezone, aiModel, allowInvites, reminders } =
+        req.validated.body;
+
+      // Only the settings that were sent are changed
+      const update = { name };
+      const settings = { aiModel, timezone, allowInvites };
+      for (const [key, value] of Object.entries(settings)) {
+        if (value !== undefined) update[`settings.${key}`] = value;
+      }
+      for (const [key, value] of Object.entries(reminders || {})) {
+        if (value !== undefined) update[`settings.reminders.${key}`] = value;
+      }
 
       const workspace = await Workspace.findOneAndUpdate(
         { _id: workspaceId },
-        {
-          name,
-          settings: {
-            aiModel,
-            timezone,
-            allowInvites,
-          },
-        }
+        { $set: update }
       );
 
+      await recordAuditLog(req, {
+        workspaceId,
+        action: "workspace.updated",
+        target: { type: "workspace", id: workspace._id, label: workspace.name },
+        before: { name: workspace.name, settings: workspace.settings },
+        after: {
+          name,
+          settings: { aiModel, timezone, allowInvites, reminders },
+        },
+      });
+
+      // Recurring tasks run on the workspace's local time
+      if (timezone && timezone !== workspace.settings?.timezone) {
+        await rescheduleWorkspaceTemplates(workspaceId, timezone);
+      }
+
       res.status(200).json({
         success: true,
         data: workspace,
@@ -568,8 +657,22 @@ router.delete(
   async (req, res) => {
     try {
       const { workspaceId } = req.validated.params;
+      const workspace = req.workspace;
+
+      // Move the workspace, its projects and their tasks to the trash
+      await softDeleteWorkspace(workspace, req.dbUser._id);
 
-      await Workspace.findByIdAndDelete({ _id: workspaceId });
+      await recordAuditLog(req, {
+        workspaceId,
+        action: "workspace.deleted",
+        target: { type: "workspace", id: workspaceId, label: workspace.name },
+        before: {
+          name: workspace.name,
+          ownerId: workspace.ownerId,
+          memberCount: workspace.members.length,
+          settings: workspace.settings,
+        },
+      });
 
       res.status(204).json({
         success: true,
@@ -584,6 +687,207 @@ router.delete(
   }
 );
 
+router.post(
+  "/:workspaceId/restore",
+  validate(restoreWorkspaceSchema),
+  requireWorkspaceRole("admin", { includeDeleted: true }),
+  async (req, res) => {
+    try {
+      const { workspaceId } = req.validated.params;
+      const workspace = req.workspace;
+
+      if (!workspace.deletedAt) {
+        return res.status(409).json({
+          message: "Workspace is not in the trash",
+        });
+      }
+
+      await restoreWorkspace(workspace);
+
+      await recordAuditLog(req, {
+        workspaceId,
+        action: "workspace.restored",
+        target: { type: "workspace", id: workspaceId, label: workspace.name },
+        after: {
+          name: workspace.name,
+          ownerId: workspace.ownerId,
+          memberCount: workspace.members.length,
+        },
+      });
+
+      const restored = await Workspace.findById(workspaceId);
+
+      res.status(200).json({
+        success: true,
+        data: restored,
+      });
+    } catch (error) {
+      console.error("🏢 Restore workspace error:", error);
+      res.status(500).json({
+        message: "Failed to restore workspace",
+      });
+    }
+  }
+);
+
+// Projects and tasks deleted on their own; items deleted as part of a
+// parent's cascade come back with that parent
+router.get(
+  "/:workspaceId/trash",
+  validate(getTrashSchema),
+  requireWorkspaceRole("manager"),
+  async (req, res) => {
+    try {
+      const { workspaceId } = req.validated.params;
+
+      const projects = await Project.find({
+        workspaceId,
+        deletedAt: { $ne: null },
+        deletedWith: null,
+      })
+        .select("_id name key status deletedAt deletedBy")
+        .populate("deletedBy", "_id name email avatarURL")
+        .sort({ deletedAt: -1 })
+        .lean();
+
+      const activeProjects = await Project.find({ workspaceId })
+        .select("_id name key")
+        .lean();
+      const projectsById = new Map(
+        activeProjects.map((p) => [p._id.toString(), p])
+      );
+
+      const tasks = await Task.find({
+        projectId: { $in: activeProjects.map((p) => p._id) },
+        deletedAt: { $ne: null },
+        deletedWith: null,
+      })
+        .select("_id title status projectId parentTaskId deletedAt deletedBy")
+        .populate("deletedBy", "_id name email avatarURL")
+        .sort({ deletedAt: -1 })
+        .lean();
+
+      const withPurgeDate = (item) => ({
+        ...item,
+        purgeAt: getPurgeDate(item.deletedAt),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          retentionDays: getRetentionDays(),
+          projects: projects.map(withPurgeDate),
+          tasks: tasks.map((task) => ({
+            ...withPurgeDate(task),
+            project: projectsById.get(task.projectId.toString()) || null,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("🏢 Get trash error:", error);
+      res.status(500).json({
+        message: "Failed to fetch trash",
+      });
+    }
+  }
+);
+
+const getAuditLogSchema = z.object({
+  params: z.object({
+    workspaceId: commonSchemas.mongoId,
+  }),
+  query: z.object({
+    actorId: commonSchemas.mongoId.optional(),
+    // Exact action ("member.removed") or a whole group ("member")
+    action: z
+      .string()
+      .regex(/^[a-z_]+(\.[a-z_]+)?$/, "Invalid action filter")
+      .optional(),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    before: commonSchemas.mongoId.optional(),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    format: z.enum(["json", "csv"]).default("json"),
+  }),
+});
+
+const AUDIT_LOG_CSV_LIMIT = 10000;
+
+router.get(
+  "/:workspaceId/audit-log",
+  validate(getAuditLogSchema),
+  requireWorkspaceRole("admin"),
+  async (req, res) => {
+    try {
+      const { workspaceId } = req.validated.params;
+      const { actorId, action, from, to, before, limit, format } =
+        req.validated.query;
+
+      const filter = { workspaceId };
+      if (actorId) filter.actorId = actorId;
+      if (action) {
+        filter.action = action.includes(".")
+          ? action
+          : { $regex: `^${action}\\.` };
+      }
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+      }
+
+      if (format === "csv") {
+        const entries = await AuditLog.find(filter)
+          .populate("actorId", "name email")
+          .sort({ _id: -1 })
+          .limit(AUDIT_LOG_CSV_LIMIT)
+          .lean();
+
+        const csv = toCSV(entries, [
+          { header: "timestamp", value: (e) => e.createdAt },
+          { header: "actor_name", value: (e) => e.actorId?.name },
+          { header: "actor_email", value: (e) => e.actorId?.email },
+          { header: "action", value: (e) => e.action },
+          { header: "target_type", value: (e) => e.target?.type },
+          { header: "target_id", value: (e) => e.target?.id },
+          { header: "target_label", value: (e) => e.target?.label },
+          { header: "ip", value: (e) => e.ip },
+          { header: "before", value: (e) => e.before },
+          { header: "after", value: (e) => e.after },
+        ]);
+
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="audit-log-${workspaceId}.csv"`
+        );
+        return res.status(200).send(csv);
+      }
+
+      if (before) filter._id = { $lt: before };
+
+      const entries = await AuditLog.find(filter)
+        .populate("actorId", "_id name email avatarURL")
+        .sort({ _id: -1 })
+        .limit(limit + 1);
+
+      const hasMore = entries.length > limit;
+      const items = hasMore ? entries.slice(0, limit) : entries;
+
+      res.status(200).json({
+        success: true,
+        data: items,
+        nextCursor: hasMore ? items[items.length - 1]._id : null,
+      });
+    } catch (error) {
+      console.error("🧾 Get audit log error:", error);
+      res.status(500).json({
+        message: "Failed to fetch audit log",
+      });
+    }
+  }
+);
+
 const getWorkspaceSchema = z.object({
   params: z.object({
     workspaceId: commonSchemas.mongoId,
@@ -708,18 +1012,24 @@ router.post(
       });
       await invite.save();
 
-      const notification = new Notification({
-        userId: user._id,
+      await recordAuditLog(req, {
+        workspaceId,
+        action: "member.invited",
+        target: { type: "invite", id: invite._id, label: user.email },
+        after: { userId: user._id, email: user.email, role },
+      });
+
+      await notify({
         type: "membership_invite",
+        actor: req.dbUser,
+        recipients: [user._id],
         title: "Membership Invite",
         message: `You have been invited to "${workspace.name}" workspace by ${req.dbUser.name}.`,
         payload: {
           workspaceId,
-          actorId: req.dbUser._id,
           inviteId: invite._id,
         },
       });
-      await notification.save();
 
       res.status(200).json({
         success: true,
@@ -774,23 +1084,35 @@ router.post(
       });
       await workspace.save();
 
+      await recordAuditLog(req, {
+        workspaceId,
+        action: "invite.accepted",
+        target: { type: "invite", id: invite._id, label: req.dbUser.email },
+        before: { role: invite.role, invitedBy: invite.invitedBy },
+        after: { memberUid: userId, role: invite.role },
+      });
+
       await Invite.deleteOne({ _id: inviteId });
-      await Notification.updateOne(
+      const inviteNotification = await Notification.findOneAndUpdate(
         { "payload.inviteId": inviteId },
-        { $set: { read: true } }
+        { $set: { read: true, readAt: new Date() } }
       );
+      if (inviteNotification) {
+        await pushNotificationSync(req.dbUser, "notification:read", {
+          notificationId: inviteNotification._id,
+        });
+      }
 
-      const notification = new Notification({
-        userId: workspace.ownerId,
+      await notify({
         type: "membership_invite_status",
+        actor: req.dbUser,
+        recipients: [workspace.ownerId],
         title: "Membership Invite Accepted",
         message: `Your invite to ${req.dbUser.name} to join "${workspace.name}" workspace has been accepted.`,
         payload: {
           workspaceId,
-          actorId: req.dbUser._id,
         },
       });
-      await notification.save();
 
       res.status(200).json({
         success: true,
@@ -831,24 +1153,35 @@ router.post(
       }
 
       await Invite.deleteOne({ _id: inviteId });
-      await Notification.updateOne(
+
+      await recordAuditLog(req, {
+        workspaceId,
+        action: "invite.declined",
+        target: { type: "invite", id: invite._id, label: req.dbUser.email },
+        before: { role: invite.role, invitedBy: invite.invitedBy },
+      });
+      const inviteNotification = await Notification.findOneAndUpdate(
         { "payload.inviteId": inviteId },
-        { $set: { read: true } }
+        { $set: { read: true, readAt: new Date() } }
       );
+      if (inviteNotification) {
+        await pushNotificationSync(req.dbUser, "notification:read", {
+          notificationId: inviteNotification._id,
+        });
+      }
 
       const workspace = await Workspace.findById(workspaceId).lean();
 
-      const notification = new Notification({
-        userId: workspace.ownerId,
+      await notify({
         type: "membership_invite_status",
+        actor: req.dbUser,
+        recipients: [workspace.ownerId],
         title: "Membership Invite Declined",
         message: `Your invite to ${req.dbUser.name} to join "${workspace.name}" workspace has been declined.`,
         payload: {
           workspaceId,
-          actorId: req.dbUser._id,
         },
       });
-      await notification.save();
 
       res.status(200).json({
         success: true,
@@ -889,6 +1222,7 @@ router.patch(
       const targetMemberRole = member.role;
       const isTargetOwner =
         workspace.ownerId.toString() === member.uid.toString();
+      const previousUid = member.uid;
 
       // Role hierarchy
       const ROLE_HIERARCHY = {
@@ -984,19 +1318,18 @@ router.patch(
           message = `Your role in "${workspaceName}" workspace was changed by ${actorName} from ${previousRole} to ${role}.`;
         }
 
-        const notification = new Notification({
-          userId: member.uid,
+        await notify({
           type: "role_updated",
+          actor: req.dbUser,
+          recipients: [member.uid],
           title: "Role Updated",
           message,
           payload: {
             workspaceId,
-            actorId: req.dbUser._id,
             previousRole,
             newRole: role,
           },
         });
-        await notification.save();
       } else if (role && role === targetMemberRole) {
       }
 
@@ -1070,6 +1403,26 @@ router.patch(
       // 7) Save changes if updates were made
       await workspace.save();
 
+      if (updates.includes("role")) {
+        await recordAuditLog(req, {
+          workspaceId,
+          action: "member.role_updated",
+          target: { type: "member", id: member._id },
+          before: { uid: previousUid, role: targetMemberRole },
+          after: { uid: member.uid, role: member.role },
+        });
+      }
+
+      if (updates.includes("email")) {
+        await recordAuditLog(req, {
+          workspaceId,
+          action: "member.email_updated",
+          target: { type: "member", id: member._id, label: email.trim() },
+          before: { uid: previousUid },
+          after: { uid: member.uid, email: email.trim() },
+        });
+      }
+
       const updateMessage =
         updates.length === 2
           ? "Member role and email updated successfully"
@@ -1167,18 +1520,28 @@ router.delete(
 
       await workspace.save();
 
+      await recordAuditLog(req, {
+        workspaceId: workspace._id,
+        action: "member.removed",
+        target: { type: "member", id: member._id },
+        before: {
+          uid: member.uid,
+          role: targetMemberRole,
+          joinedAt: member.joinedAt,
+        },
+      });
+
       // 5) Send notification to removed member
-      const notification = new Notification({
-        userId: member.uid,
+      await notify({
         type: "membership_removed",
+        actor: req.dbUser,
+        recipients: [member.uid],
         title: "Membership Removed",
         message: `Your membership in "${workspace.name}" workspace was removed by ${req.dbUser.name}.`,
         payload: {
           workspaceId: workspace._id,
-          actorId: req.dbUser._id,
         },
       });
-      await notification.save();
 
       return res.json({
         success: true,
@@ -0,0 +1,48 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../lib/db");
+const Task = require("../models/Task");
+const Comment = require("../models/Comment");
+
+const BATCH_SIZE = 500;
+
+// Copies each task's projectId onto its comments, which search uses to scope
+// comments to the caller's projects
+(async () => {
+  try {
+    await connectDB();
+    console.log("🔄 Adding project ids to comments...");
+
+    const taskIds = await Comment.collection.distinct("taskId", {
+      projectId: { $exists: false },
+    });
+
+    let updated = 0;
+    for (let i = 0; i < taskIds.length; i += BATCH_SIZE) {
+      const tasks = await Task.collection
+        .find({ _id: { $in: taskIds.slice(i, i + BATCH_SIZE) } })
+        .project({ projectId: 1 })
+        .toArray();
+      if (tasks.length === 0) continue;
+
+      const result = await Comment.collection.bulkWrite(
+        tasks.map((task) => ({
+          updateMany: {
+            filter: { taskId: task._id, projectId: { $exists: false } },
+            update: { $set: { projectId: task.projectId } },
+          },
+        }))
+      );
+      updated += result.modifiedCount;
+    }
+
+    console.log(`✅ Comment migration done: ${updated} comments`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error("💥 Comment migration failed:", error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+})();
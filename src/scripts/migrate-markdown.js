@@ -0,0 +1,67 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../lib/db");
+const Task = require("../models/Task");
+const Comment = require("../models/Comment");
+const { renderMarkdown } = require("../utils/markdown");
+
+const BATCH_SIZE = 500;
+
+// Renders the stored Markdown of every document into `<field>Html`,
+// `<field>Links` and `<field>Mentions`; documents are written as-is, without touching updatedAt
+async function backfill(Model, field) {
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await Model.collection.bulkWrite(batch);
+    updated += result.modifiedCount;
+    batch = [];
+  };
+
+  const cursor = Model.collection
+    .find({ [field]: { $type: "string" } })
+    .project({ [field]: 1 });
+
+  for await (const doc of cursor) {
+    const { html, links, mentions } = renderMarkdown(doc[field]);
+    batch.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set: {
+            [`${field}Html`]: html,
+            [`${field}Links`]: links,
+            [`${field}Mentions`]: mentions,
+          },
+        },
+      },
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+}
+
+(async () => {
+  try {
+    await connectDB();
+    console.log("🔄 Rendering stored Markdown...");
+
+    const tasks = await backfill(Task, "description");
+    const comments = await backfill(Comment, "body");
+
+    console.log(
+      `✅ Markdown migration done: ${tasks} tasks, ${comments} comments`
+    );
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error("💥 Markdown migration failed:", error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,52 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../lib/db");
+const Task = require("../models/Task");
+const { generateRanks } = require("../utils/rank");
+
+// One-off migration from the 1-6 `order` field to rank keys: every
+// project/status column is re-ranked in its current display order and the
+// old field is removed
+(async () => {
+  try {
+    await connectDB();
+    console.log("🔄 Migrating task order to ranks...");
+
+    const columns = await Task.aggregate([
+      { $group: { _id: { projectId: "$projectId", status: "$status" } } },
+    ]);
+
+    let tasksUpdated = 0;
+
+    for (const { _id: column } of columns) {
+      const tasks = await Task.collection
+        .find({ projectId: column.projectId, status: column.status })
+        .project({ _id: 1 })
+        .sort({ order: 1, createdAt: -1 })
+        .toArray();
+
+      const ranks = generateRanks(tasks.length);
+
+      const result = await Task.collection.bulkWrite(
+        tasks.map((task, index) => ({
+          updateOne: {
+            filter: { _id: task._id },
+            update: { $set: { rank: ranks[index] }, $unset: { order: "" } },
+          },
+        }))
+      );
+      tasksUpdated += result.modifiedCount;
+    }
+
+    console.log(
+      `✅ Rank migration done: ${tasksUpdated} tasks in ${columns.length} columns`
+    );
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error("💥 Rank migration failed:", error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+})();
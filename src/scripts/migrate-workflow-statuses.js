@@ -0,0 +1,89 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../lib/db");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const {
+  DEFAULT_WORKFLOW_STATUSES,
+  getStatusCategory,
+  getInitialStatus,
+} = require("../utils/workflow");
+
+// One-off migration from the hard-coded todo/in_progress/done enum:
+// - gives every project without a workflow the default columns
+// - backfills Task.statusCategory from the project's workflow
+// - moves tasks with an unknown status into the project's initial status
+(async () => {
+  try {
+    await connectDB();
+    console.log("🔄 Migrating workflow statuses...");
+
+    const { modifiedCount: projectsUpdated } = await Project.updateMany(
+      {
+        $or: [
+          { "workflow.statuses": { $exists: false } },
+          { "workflow.statuses": { $size: 0 } },
+        ],
+      },
+      { $set: { "workflow.statuses": DEFAULT_WORKFLOW_STATUSES } }
+    );
+
+    let tasksUpdated = 0;
+    let tasksMoved = 0;
+
+    const projects = await Project.find().select("_id workflow");
+
+    for (const project of projects) {
+      const statuses = await Task.distinct("status", {
+        projectId: project._id,
+      });
+
+      const operations = statuses.map((status) => {
+        const category = getStatusCategory(project, status);
+        if (category) {
+          return {
+            updateMany: {
+              filter: { projectId: project._id, status },
+              update: { $set: { statusCategory: category } },
+            },
+          };
+        }
+
+        const initialStatus = getInitialStatus(project);
+        console.warn(
+          `⚠️ Project ${project._id}: unknown status "${status}" moved to "${initialStatus}"`
+        );
+        return {
+          updateMany: {
+            filter: { projectId: project._id, status },
+            update: {
+              $set: {
+                status: initialStatus,
+                statusCategory: getStatusCategory(project, initialStatus),
+              },
+            },
+          },
+        };
+      });
+
+      if (operations.length === 0) continue;
+
+      const result = await Task.bulkWrite(operations);
+      tasksUpdated += result.modifiedCount;
+      tasksMoved += operations.filter(
+        (op) => op.updateMany.update.$set.status
+      ).length;
+    }
+
+    console.log(
+      `✅ Workflow migration done: ${projectsUpdated} projects, ${tasksUpdated} tasks updated, ${tasksMoved} unknown statuses remapped`
+    );
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error("💥 Workflow migration failed:", error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+})();
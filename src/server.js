@@ -37,6 +37,17 @@ requiredEnvVars.forEach((varName) => {
 
 console.log("✅ All required environment variables are set");
 
+// Only the given number of proxy hops may set x-forwarded-for, so req.ip is
+// the real client address (Render puts one proxy in front of the service)
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === "") {
+    return process.env.NODE_ENV === "production" ? 1 : false;
+  }
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware setup
 app.use(helmet());
 app.use(
@@ -0,0 +1,263 @@
+const path = require("path");
+const { getStorage } = require("../lib/storage");
+
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const MAX_PDF_PAGES = 30;
+const CHUNK_CHARS = 500;
+const EXCERPT_CHARS = 1500;
+const TOTAL_EXCERPT_CHARS = 6000;
+const MIN_PASSAGE_CHARS = 200;
+
+const getPositiveNumber = (value, fallback) =>
+  Number(value) > 0 ? Number(value) : fallback;
+
+const getLimits = () => ({
+  maxBytes: getPositiveNumber(
+    process.env.AI_ATTACHMENT_MAX_BYTES,
+    DEFAULT_MAX_BYTES
+  ),
+  maxFiles: getPositiveNumber(
+    process.env.AI_ATTACHMENT_MAX_FILES,
+    DEFAULT_MAX_FILES
+  ),
+});
+
+// Browsers often send text files as application/octet-stream, so the
+// extension decides when the type is not specific
+const EXTENSION_KINDS = {
+  ".txt": "text",
+  ".md": "text",
+  ".markdown": "text",
+  ".csv": "csv",
+  ".pdf": "pdf",
+};
+const MIME_KINDS = {
+  "text/plain": "text",
+  "text/markdown": "text",
+  "text/x-markdown": "text",
+  "text/csv": "csv",
+  "application/pdf": "pdf",
+};
+
+const getKind = (attachment) =>
+  MIME_KINDS[attachment.mimeType] ||
+  EXTENSION_KINDS[path.extname(attachment.name || "").toLowerCase()] ||
+  null;
+
+// Reads at most `maxBytes` from a storage stream. Reading stops only once
+// past the cap, so a file of exactly `maxBytes` is not marked truncated.
+async function readCapped(stream, maxBytes) {
+  const chunks = [];
+  let length = 0;
+
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length > maxBytes) {
+      stream.destroy?.();
+      break;
+    }
+  }
+
+  const buffer = Buffer.concat(chunks);
+  return {
+    buffer: buffer.subarray(0, maxBytes),
+    truncated: length > maxBytes,
+  };
+}
+
+const normalizeText = (text) =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+// Splits text into chunks of about CHUNK_CHARS on line boundaries; `header`
+// (a CSV header row) is repeated at the top of every chunk
+function chunkText(text, { page = null, header = "" } = {}) {
+  const chunks = [];
+  let current = "";
+
+  const flush = () => {
+    if (current.trim()) {
+      chunks.push({
+        text: (header ? `${header}\n` : "") + current.trim(),
+        page,
+      });
+    }
+    current = "";
+  };
+
+  for (const line of text.split("\n")) {
+    for (
+      let start = 0;
+      start < Math.max(line.length, 1);
+      start += CHUNK_CHARS
+    ) {
+      const piece = line.slice(start, start + CHUNK_CHARS);
+      if (current.length + piece.length + 1 > CHUNK_CHARS) flush();
+      current += `${piece}\n`;
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+const extractors = {
+  text: async (buffer) => chunkText(normalizeText(buffer.toString("utf8"))),
+
+  csv: async (buffer) => {
+    const [header = "", ...rows] = normalizeText(buffer.toString("utf8")).split(
+      "\n"
+    );
+    return rows.length > 0
+      ? chunkText(rows.join("\n"), { header })
+      : chunkText(header);
+  },
+
+  // Chunked per page so excerpts can point at the page they came from
+  pdf: async (buffer) => {
+    const { PDFParse } = require("pdf-parse");
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const result = await parser.getText({ first: MAX_PDF_PAGES });
+      return result.pages.flatMap((p) =>
+        chunkText(normalizeText(p.text), { page: p.num })
+      );
+    } finally {
+      await parser.destroy();
+    }
+  },
+};
+
+const tokenize = (text) =>
+  new Set(
+    String(text || "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]{4,}/gu) || []
+  );
+
+// Condenses chunks into one excerpt: the opening chunk for context, then the
+// chunks sharing the most words with the task, each cut to a share of the
+// budget so several passages fit, kept in document order
+function condenseChunks(chunks, keywords, maxChars) {
+  const share = Math.max(Math.floor(maxChars / 3), MIN_PASSAGE_CHARS);
+  const scored = chunks.map((chunk, index) => {
+    let score = 0;
+    for (const word of tokenize(chunk.text)) {
+      if (keywords.has(word)) score += 1;
+    }
+    return { ...chunk, index, score: index === 0 ? Infinity : score };
+  });
+
+  const picked = [];
+  let length = 0;
+  for (const chunk of scored.sort(
+    (a, b) => b.score - a.score || a.index - b.index
+  )) {
+    const text = chunk.text.slice(0, Math.min(share, maxChars - length));
+    if (text.length < MIN_PASSAGE_CHARS && text.length < chunk.text.length) {
+      break;
+    }
+    picked.push({ ...chunk, text });
+    length += text.length;
+  }
+
+  picked.sort((a, b) => a.index - b.index);
+  return {
+    text: picked
+      .map((c) => (c.page ? `(p. ${c.page}) ${c.text}` : c.text))
+      .join("\n…\n"),
+    pages: [...new Set(picked.map((c) => c.page).filter(Boolean))],
+  };
+}
+
+// Excerpts of a task's text, Markdown, CSV and PDF attachments for the
+// summary prompt, each with a citation ref ("A1", "A2", ...). Files over the
+// size cap are read only up to it; unreadable files are logged and skipped.
+async function extractAttachmentExcerpts(task) {
+  const { maxBytes, maxFiles } = getLimits();
+  const candidates = (task.attachments || [])
+    .filter((a) => a.storageKey && getKind(a))
+    // Newest uploads first
+    .slice(-maxFiles)
+    .reverse();
+  if (candidates.length === 0) return [];
+
+  const keywords = tokenize(
+    [task.title, task.description, ...(task.tags || [])].join(" ")
+  );
+  const storage = getStorage();
+  const excerpts = [];
+  let remaining = TOTAL_EXCERPT_CHARS;
+
+  for (const attachment of candidates) {
+    if (remaining <= 0) break;
+
+    try {
+      const kind = getKind(attachment);
+      // A cut-off PDF cannot be parsed
+      if (kind === "pdf" && attachment.size > maxBytes) continue;
+
+      const stream = await storage.getStream(attachment.storageKey);
+      const { buffer, truncated } = await readCapped(stream, maxBytes);
+      if (kind === "pdf" && truncated) continue;
+
+      const chunks = await extractors[kind](buffer);
+      if (chunks.length === 0) continue;
+
+      const { text, pages } = condenseChunks(
+        chunks,
+        keywords,
+        Math.min(EXCERPT_CHARS, remaining)
+      );
+      remaining -= text.length;
+
+      excerpts.push({
+        ref: `A${excerpts.length + 1}`,
+        attachmentId: attachment._id,
+        name: attachment.name,
+        pages,
+        truncated,
+        text,
+      });
+    } catch (error) {
+      console.error("📎 Attachment text extraction error:", error);
+    }
+  }
+
+  return excerpts;
+}
+
+// The excerpts a summary actually cites, and the summary with a sources
+// list appended so the references stay readable wherever it is shown
+function citeSources(summary, excerpts) {
+  const cited = new Set(
+    [...summary.matchAll(/\[(A\d+)\]/g)].map((match) => match[1])
+  );
+  const sources = excerpts
+    .filter((e) => cited.has(e.ref))
+    .map(({ ref, attachmentId, name, pages }) => ({
+      ref,
+      attachmentId,
+      name,
+      pages,
+    }));
+  if (sources.length === 0) return { summary, sources };
+
+  const list = sources
+    .map(
+      (s) =>
+        `[${s.ref}] ${s.name}${
+          s.pages.length > 0 ? ` (p. ${s.pages.join(", ")})` : ""
+        }`
+    )
+    .join("\n");
+
+  return { summary: `${summary}\n\nSources:\n${list}`, sources };
+}
+
+module.exports = { extractAttachmentExcerpts, citeSources };
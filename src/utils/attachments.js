@@ -0,0 +1,52 @@
+const { getStorage, getUrlTtlSeconds } = require("../lib/storage");
+
+// Objects are keyed by id only, so user-supplied file names never reach the
+// storage backend
+const buildStorageKey = (taskId, attachmentId) =>
+  `tasks/${taskId}/${attachmentId}`;
+
+// Short-lived download link for a stored attachment
+async function signAttachmentUrl(attachment) {
+  const expiresIn = getUrlTtlSeconds();
+
+  const url = await getStorage().getSignedUrl(attachment.storageKey, {
+    expiresIn,
+    filename: attachment.name,
+    contentType: attachment.mimeType,
+  });
+
+  return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+}
+
+// Attachment as returned by the API: stored files get a signed `url`, legacy
+// link attachments keep theirs
+async function serializeAttachment(attachment) {
+  const { _id, name, mimeType, size, uploadedBy, uploadedAt } = attachment;
+  const data = { _id, name, mimeType, size, uploadedBy, uploadedAt };
+
+  if (!attachment.storageKey) {
+    return { ...data, url: attachment.url, expiresAt: null };
+  }
+  return { ...data, ...(await signAttachmentUrl(attachment)) };
+}
+
+// Best effort: a file that cannot be removed is logged and left behind
+async function deleteAttachmentFiles(attachments) {
+  const storage = getStorage();
+
+  for (const attachment of attachments) {
+    if (!attachment.storageKey) continue;
+    try {
+      await storage.delete(attachment.storageKey);
+    } catch (error) {
+      console.error("📎 Delete attachment file error:", error);
+    }
+  }
+}
+
+module.exports = {
+  buildStorageKey,
+  signAttachmentUrl,
+  serializeAttachment,
+  deleteAttachmentFiles,
+};
@@ -0,0 +1,24 @@
+const AuditLog = require("../models/AuditLog");
+
+// Auditing is best effort: a failed write must never fail the action itself
+async function recordAuditLog(
+  req,
+  { workspaceId, action, target, before, after }
+) {
+  try {
+    await AuditLog.create({
+      workspaceId,
+      actorId: req.dbUser._id,
+      action,
+      target,
+      before,
+      after,
+      // Resolved through the app's "trust proxy" setting
+      ip: req.ip,
+    });
+  } catch (error) {
+    console.error("🧾 Record audit log error:", error);
+  }
+}
+
+module.exports = { recordAuditLog };
@@ -0,0 +1,72 @@
+// Maps the T1, T2, ... references of a critical-path AI response back to
+// tasks and drops anything that does not point at a task in the prompt
+function parseCriticalPathResponse(text, tasks) {
+  const json = text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/```$/, "")
+    .trim();
+  const parsed = JSON.parse(json);
+
+  const taskByRef = (ref) => {
+    const match = /^T(\d+)$/i.exec(String(ref ?? "").trim());
+    return match ? tasks[Number(match[1]) - 1] || null : null;
+  };
+
+  const seen = new Set();
+  const dependencies = [];
+  for (const item of Array.isArray(parsed.dependencies)
+    ? parsed.dependencies
+    : []) {
+    const task = taskByRef(item.task);
+    const blocker = taskByRef(item.blockedBy);
+    if (!task || !blocker || task === blocker) continue;
+
+    const key = `${task._id}:${blocker._id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    dependencies.push({
+      taskId: task._id,
+      blockedBy: blocker._id,
+      reason: String(item.reason || "").slice(0, 300),
+      existing: (task.blockedBy || []).some((id) => id.equals(blocker._id)),
+    });
+  }
+
+  const pathTasks = [];
+  for (const ref of Array.isArray(parsed.criticalPath)
+    ? parsed.criticalPath
+    : []) {
+    const task = taskByRef(ref);
+    if (task && !pathTasks.includes(task)) pathTasks.push(task);
+  }
+
+  const risks = (Array.isArray(parsed.risks) ? parsed.risks : [])
+    .filter((risk) => risk && risk.note)
+    .map((risk) => ({
+      taskId: taskByRef(risk.task)?._id ?? null,
+      level: ["low", "medium", "high"].includes(risk.level)
+        ? risk.level
+        : "medium",
+      note: String(risk.note).slice(0, 300),
+    }));
+
+  return {
+    summary: typeof parsed.summary === "string" ? parsed.summary.trim() : "",
+    dependencies,
+    criticalPath: pathTasks.map((task) => ({
+      taskId: task._id,
+      title: task.title,
+      estimate: task.estimate,
+      dueDate: task.dueDate,
+    })),
+    totalEstimate: pathTasks.reduce(
+      (sum, task) => sum + (task.estimate || 0),
+      0
+    ),
+    risks,
+  };
+}
+
+module.exports = { parseCriticalPathResponse };
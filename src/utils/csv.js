@@ -0,0 +1,31 @@
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return "";
+
+  // ObjectIds print as their hex string; JSON.stringify would quote them
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : value._bsontype === "ObjectId"
+      ? String(value)
+      : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: (row) => any }]
+function toCSV(rows, columns) {
+  const lines = [columns.map((c) => escapeCell(c.header)).join(",")];
+
+  for (const row of rows) {
+    lines.push(columns.map((c) => escapeCell(c.value(row))).join(","));
+  }
+
+  return lines.join("\r\n");
+}
+
+module.exports = { toCSV };
@@ -0,0 +1,41 @@
+const { Types } = require("mongoose");
+
+// Opaque keyset cursors: the sort the page was read with, the sort value of
+// the last item and its _id as a tie-breaker
+function encodeCursor({ sort, value, id }) {
+  const payload = {
+    s: sort,
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+// Returns null for anything that is not a cursor produced by encodeCursor
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof payload?.s !== "string" || !Types.ObjectId.isValid(payload.id)) {
+      return null;
+    }
+    // Values go straight into $match, so objects (query operators) are
+    // rejected along with anything else encodeCursor never writes
+    const isScalar =
+      payload.v === null || ["string", "number"].includes(typeof payload.v);
+    if (!isScalar) return null;
+
+    const value = payload.d ? new Date(payload.v) : payload.v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) return null;
+
+    return {
+      sort: payload.s,
+      value,
+      id: new Types.ObjectId(payload.id),
+    };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,33 @@
+const { Types } = require("mongoose");
+
+// Reduce ObjectIds, populated documents and dates to comparable JSON values
+function normalizeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === "object" && value._id) return value._id.toString();
+  if (typeof value === "object" && typeof value.toObject === "function") {
+    return value.toObject();
+  }
+  return value;
+}
+
+// Field-level diff between two versions of a document:
+// { field: { from, to } } for every listed field whose value changed
+function diffFields(before, after, fields) {
+  const changes = {};
+
+  for (const field of fields) {
+    const from = normalizeValue(before?.[field]);
+    const to = normalizeValue(after?.[field]);
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+module.exports = { diffFields, normalizeValue };
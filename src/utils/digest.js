@@ -0,0 +1,253 @@
+const User = require("../models/User");
+const Task = require("../models/Task");
+const Notification = require("../models/Notification");
+const { sendMail } = require("../lib/mailer");
+const { escapeHtml } = require("./html");
+const {
+  DAY_MS,
+  isValidTimeZone,
+  getLocalDay,
+  zonedTimeToDate,
+  formatInTimeZone,
+} = require("./timezone");
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const MAX_NOTIFICATIONS = 30;
+const MAX_TASKS = 20;
+
+const getTimeZone = (digest) =>
+  isValidTimeZone(digest?.timezone) ? digest.timezone : "UTC";
+
+// Most recent scheduled send time at or before `now`, or null when the
+// digest is turned off
+function getLastScheduledAt(digest, now = new Date()) {
+  if (!PERIOD_DAYS[digest?.frequency]) return null;
+
+  const timeZone = getTimeZone(digest);
+  const time = `${String(digest.hour).padStart(2, "0")}:00`;
+  let day = getLocalDay(now, timeZone);
+
+  for (let i = 0; i < 8; i++, day -= DAY_MS) {
+    if (
+      digest.frequency === "weekly" &&
+      new Date(day).getUTCDay() !== digest.weekday
+    ) {
+      continue;
+    }
+
+    const scheduledAt = zonedTimeToDate(day, time, timeZone);
+    if (scheduledAt <= now) return scheduledAt;
+  }
+  return null;
+}
+
+const isDigestDue = (digest, now = new Date()) => {
+  const scheduledAt = getLastScheduledAt(digest, now);
+  return Boolean(
+    scheduledAt && (!digest.lastSentAt || digest.lastSentAt < scheduledAt)
+  );
+};
+
+// Everything a digest covers since the last one, capped at one period
+async function buildDigest(user, now = new Date()) {
+  const frequency = PERIOD_DAYS[user.digest?.frequency]
+    ? user.digest.frequency
+    : "daily";
+  const periodStart = new Date(now.getTime() - PERIOD_DAYS[frequency] * DAY_MS);
+  const lastSentAt = user.digest?.lastSentAt;
+  const since =
+    lastSentAt && lastSentAt > periodStart ? lastSentAt : periodStart;
+
+  const [notifications, unreadCount, dueSoon, changedTasks] = await Promise.all(
+    [
+      Notification.find({
+        userId: user._id,
+        read: false,
+        createdAt: { $gte: since },
+        "channels.digest": { $ne: false },
+      })
+        .populate("payload.actorId", "name")
+        .sort({ createdAt: -1 })
+        .limit(MAX_NOTIFICATIONS)
+        .lean(),
+      Notification.countDocuments({
+        userId: user._id,
+        read: false,
+        "channels.inApp": { $ne: false },
+      }),
+      // Open tasks due before the next digest, including overdue ones
+      Task.find({
+        assignees: user._id,
+        statusCategory: { $ne: "done" },
+        dueDate: {
+          $ne: null,
+          $lte: new Date(now.getTime() + PERIOD_DAYS[frequency] * DAY_MS),
+        },
+      })
+        .populate("projectId", "name")
+        .select("title dueDate priority status projectId")
+        .sort({ dueDate: 1 })
+        .limit(MAX_TASKS)
+        .lean(),
+      // Only stored AI summaries are used; nothing is generated here
+      Task.find({
+        $or: [{ assignees: user._id }, { createdBy: user._id }],
+        updatedAt: { $gte: since },
+        "ai.summary": { $nin: [null, ""] },
+      })
+        .populate("projectId", "name")
+        .select("title status ai.summary projectId updatedAt")
+        .sort({ updatedAt: -1 })
+        .limit(MAX_TASKS)
+        .lean(),
+    ]
+  );
+
+  return {
+    user: { _id: user._id, name: user.name, email: user.email },
+    frequency,
+    timezone: getTimeZone(user.digest),
+    since,
+    until: now,
+    unreadCount,
+    notifications,
+    dueSoon,
+    changedTasks,
+    isEmpty:
+      notifications.length === 0 &&
+      dueSoon.length === 0 &&
+      changedTasks.length === 0,
+  };
+}
+
+// Renders a built digest to { subject, html, text }
+function renderDigest(digest) {
+  const appUrl = process.env.APP_URL || process.env.CORS_ORIGIN || "";
+  const formatDate = (date) => formatInTimeZone(date, digest.timezone);
+  const label = digest.frequency === "weekly" ? "Weekly" : "Daily";
+  const subject = `Your ${label.toLowerCase()} NeuralFlow digest: ${
+    digest.unreadCount
+  } unread, ${digest.dueSoon.length} due soon`;
+
+  const sections = [
+    {
+      title: `Unread notifications (${digest.notifications.length})`,
+      items: digest.notifications.map((n) => ({
+        heading: n.title,
+        detail: [n.message, n.payload?.actorId?.name]
+          .filter(Boolean)
+          .join(" — "),
+      })),
+    },
+    {
+      title: `Due soon (${digest.dueSoon.length})`,
+      items: digest.dueSoon.map((t) => ({
+        heading: t.title,
+        detail: `${t.projectId?.name || "Project"} · ${t.priority} · ${
+          t.dueDate < digest.until ? "overdue since" : "due"
+        } ${formatDate(t.dueDate)}`,
+      })),
+    },
+    {
+      title: `Recently changed (${digest.changedTasks.length})`,
+      items: digest.changedTasks.map((t) => ({
+        heading: `${t.title} (${t.status})`,
+        detail: t.ai.summary,
+      })),
+    },
+  ].filter((section) => section.items.length > 0);
+
+  const greeting = `Hi ${digest.user.name || "there"},`;
+  const period = `Here is what happened since ${formatDate(digest.since)}.`;
+
+  const text = [
+    greeting,
+    "",
+    period,
+    ...sections.flatMap((section) => [
+      "",
+      section.title,
+      ...section.items.map(
+        (item) => `- ${item.heading}${item.detail ? `: ${item.detail}` : ""}`
+      ),
+    ]),
+    ...(appUrl ? ["", `Open NeuralFlow: ${appUrl}`] : []),
+  ].join("\n");
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 600px; margin: 0 auto;">
+    <h2>${label} digest</h2>
+    <p>${escapeHtml(greeting)}</p>
+    <p>${escapeHtml(period)}</p>
+${sections
+  .map(
+    (section) => `    <h3>${escapeHtml(section.title)}</h3>
+    <ul>
+${section.items
+  .map(
+    (item) =>
+      `      <li><strong>${escapeHtml(item.heading)}</strong>${
+        item.detail ? `<br /><span>${escapeHtml(item.detail)}</span>` : ""
+      }</li>`
+  )
+  .join("\n")}
+    </ul>`
+  )
+  .join("\n")}
+${
+  appUrl
+    ? `    <p><a href="${escapeHtml(appUrl)}">Open NeuralFlow</a></p>\n`
+    : ""
+}  </body>
+</html>`;
+
+  return { subject, html, text };
+}
+
+// Sends every digest whose scheduled time has passed since it was last sent.
+// Empty digests are not mailed but still count as sent for that period.
+async function sendDueDigests(now = new Date()) {
+  const result = { sent: 0, empty: 0, failed: 0 };
+
+  const users = User.find({
+    "digest.frequency": { $in: Object.keys(PERIOD_DAYS) },
+  })
+    .select("name email digest")
+    .cursor();
+
+  for await (const user of users) {
+    if (!isDigestDue(user.digest, now)) continue;
+
+    try {
+      const digest = await buildDigest(user, now);
+
+      if (digest.isEmpty) {
+        result.empty++;
+      } else {
+        await sendMail({ to: user.email, ...renderDigest(digest) });
+        result.sent++;
+      }
+
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { "digest.lastSentAt": now } },
+        { timestamps: false }
+      );
+    } catch (error) {
+      // One failing address shouldn't hold back everyone else's digest
+      console.error("📧 Send digest error:", error);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  getLastScheduledAt,
+  isDigestDue,
+  buildDigest,
+  renderDigest,
+  sendDueDigests,
+};
@@ -0,0 +1,159 @@
+const Task = require("../models/Task");
+const Project = require("../models/Project");
+const Workspace = require("../models/Workspace");
+const { notify } = require("../lib/notification-service");
+const {
+  DAY_MS,
+  getLocalDay,
+  zonedTimeToDate,
+  formatInTimeZone,
+} = require("./timezone");
+
+const HOUR_MS = 60 * 60 * 1000;
+// Overdue tasks are followed this long, which bounds every scan
+const MAX_OVERDUE_DAYS = 60;
+const MAX_DUE_SOON_HOURS = 168;
+
+// Date-only due dates (midnight UTC, as sent by date pickers) are due at the
+// end of that day in the workspace time zone
+function getDeadline(dueDate, timeZone) {
+  if (dueDate.getTime() % DAY_MS !== 0) return dueDate;
+  return zonedTimeToDate(dueDate.getTime() + DAY_MS, "00:00", timeZone);
+}
+
+// Whole calendar days, in the workspace time zone, since the deadline passed
+const getDaysOverdue = (deadline, now, timeZone) =>
+  Math.round(
+    (getLocalDay(now, timeZone) -
+      getLocalDay(new Date(deadline.getTime() - 1), timeZone)) /
+      DAY_MS
+  );
+
+const managerIds = (workspace) =>
+  workspace.members
+    .filter((m) => m.role === "manager" || m.role === "admin")
+    .map((m) => m.uid);
+
+// Sends due_soon / overdue notices to assignees (the creator when nobody is
+// assigned) and escalates long-overdue tasks to the workspace's managers
+async function sendDueReminders(now = new Date()) {
+  const result = { dueSoon: 0, overdue: 0, escalated: 0 };
+  const projects = new Map();
+  const workspaces = new Map();
+
+  const loadCached = async (cache, Model, id) => {
+    const key = id.toString();
+    if (!cache.has(key)) cache.set(key, await Model.findById(id));
+    return cache.get(key);
+  };
+
+  const tasks = Task.find({
+    dueDate: {
+      $gte: new Date(now.getTime() - MAX_OVERDUE_DAYS * DAY_MS),
+      $lte: new Date(now.getTime() + (MAX_DUE_SOON_HOURS + 24) * HOUR_MS),
+    },
+    statusCategory: { $ne: "done" },
+    "dueReminders.escalatedAt": null,
+  })
+    .select("title dueDate assignees createdBy projectId dueReminders")
+    .cursor();
+
+  for await (const task of tasks) {
+    const project = await loadCached(projects, Project, task.projectId);
+    const workspace =
+      project && (await loadCached(workspaces, Workspace, project.workspaceId));
+    const settings = workspace?.settings?.reminders;
+    if (!workspace || !settings?.enabled) continue;
+
+    const timeZone = workspace.settings.timezone;
+    const deadline = getDeadline(task.dueDate, timeZone);
+    const dueLabel = formatInTimeZone(deadline, timeZone);
+
+    const previous = task.dueReminders;
+    const state =
+      previous?.forDueDate?.getTime() === task.dueDate.getTime()
+        ? {
+            forDueDate: previous.forDueDate,
+            dueSoonHours: [...(previous.dueSoonHours || [])],
+            overdueAt: previous.overdueAt,
+            escalatedAt: previous.escalatedAt,
+          }
+        : { forDueDate: task.dueDate, dueSoonHours: [] };
+
+    const recipients = task.assignees.length
+      ? task.assignees
+      : [task.createdBy];
+    const payload = {
+      taskId: task._id,
+      projectId: project._id,
+      workspaceId: workspace._id,
+    };
+    let changed = false;
+
+    if (now < deadline) {
+      // Offsets crossed at once (e.g. a task created close to its due date)
+      // produce a single notice
+      const crossed = settings.dueSoonHours.filter(
+        (hours) =>
+          now.getTime() >= deadline.getTime() - hours * HOUR_MS &&
+          !state.dueSoonHours.includes(hours)
+      );
+
+      if (crossed.length > 0) {
+        await notify({
+          recipients,
+          type: "due_soon",
+          title: "Task Due Soon",
+          message: `Task "${task.title}" is due ${dueLabel}.`,
+          payload,
+        });
+        state.dueSoonHours.push(...crossed);
+        changed = true;
+        result.dueSoon++;
+      }
+    } else {
+      if (!state.overdueAt) {
+        await notify({
+          recipients,
+          type: "overdue",
+          title: "Task Overdue",
+          message: `Task "${task.title}" was due ${dueLabel}.`,
+          payload,
+        });
+        state.overdueAt = now;
+        changed = true;
+        result.overdue++;
+      }
+
+      const daysOverdue = getDaysOverdue(deadline, now, timeZone);
+      if (
+        settings.escalateAfterDays > 0 &&
+        daysOverdue >= settings.escalateAfterDays &&
+        !state.escalatedAt
+      ) {
+        await notify({
+          recipients: managerIds(workspace),
+          type: "overdue_escalation",
+          title: "Overdue Task Escalated",
+          message: `Task "${task.title}" in ${project.name} is ${daysOverdue} day(s) overdue (due ${dueLabel}).`,
+          payload,
+        });
+        state.escalatedAt = now;
+        changed = true;
+        result.escalated++;
+      }
+    }
+
+    if (changed) {
+      await Task.updateOne(
+        { _id: task._id },
+        { $set: { dueReminders: state } },
+        { timestamps: false }
+      );
+    }
+  }
+
+  return result;
+}
+
+module.exports = { getDeadline, sendDueReminders };
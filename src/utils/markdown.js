@@ -0,0 +1,130 @@
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+const { escapeHtml } = require("./html");
+
+const MENTION_PATTERN =
+  /^@(\[[^\]\n]{1,100}\]|[\w.%+-]+@[a-z0-9.-]+\.[a-z]{2,}|[\w-]+(?:\.[\w-]+)*)/i;
+
+// @mentions become <span class="mention"> (never inside code), everything
+// else is GitHub-flavoured Markdown with single line breaks kept
+const marked = new Marked({
+  gfm: true,
+  breaks: true,
+  extensions: [
+    {
+      name: "mention",
+      level: "inline",
+      start: (src) => src.match(/(?<![\w.@])@/)?.index,
+      tokenizer(src, tokens) {
+        // Like start(), refuse an @ right after a word character, dot or @
+        // ("root@ana"); the text before it is already a token here
+        const previous = tokens[tokens.length - 1];
+        if (previous && /[\w.@]$/.test(previous.raw)) return undefined;
+
+        const match = MENTION_PATTERN.exec(src);
+        if (!match) return undefined;
+
+        return {
+          type: "mention",
+          raw: match[0],
+          handle: match[1].replace(/^\[|\]$/g, ""),
+        };
+      },
+      renderer: (token) =>
+        `<span class="mention" data-mention="${escapeHtml(
+          token.handle
+        )}">@${escapeHtml(token.handle)}</span>`,
+    },
+  ],
+});
+
+// No scripts, styles, iframes, forms or event handlers survive; links only
+// keep http(s)/mailto targets and open in a new tab
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p",
+    "br",
+    "hr",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "strong",
+    "em",
+    "del",
+    "code",
+    "pre",
+    "blockquote",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "img",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+    "input",
+    "span",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title"],
+    code: ["class"],
+    th: ["align"],
+    td: ["align"],
+    ol: ["start"],
+    // Task list checkboxes
+    input: ["type", "checked", "disabled"],
+    span: ["class", "data-mention"],
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+    span: ["mention"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowProtocolRelative: false,
+  disallowedTagsMode: "discard",
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", {
+      target: "_blank",
+      rel: "noopener noreferrer nofollow",
+    }),
+  },
+  exclusiveFilter: (frame) =>
+    frame.tag === "input" && frame.attribs.type !== "checkbox",
+};
+
+// Renders Markdown source to sanitized HTML and lists the links and
+// @mention handles it contains
+function renderMarkdown(source) {
+  if (!source) return { html: "", links: [], mentions: [] };
+
+  const links = new Set();
+  const mentions = new Set();
+
+  const tokens = marked.lexer(source);
+  marked.walkTokens(tokens, (token) => {
+    if (token.type === "mention") mentions.add(token.handle);
+  });
+
+  const html = sanitizeHtml(marked.parser(tokens), {
+    ...SANITIZE_OPTIONS,
+    // Collected after sanitizing so only links that survive are listed
+    exclusiveFilter: (frame) => {
+      if (frame.tag === "a" && frame.attribs.href) {
+        links.add(frame.attribs.href);
+      }
+      return SANITIZE_OPTIONS.exclusiveFilter(frame);
+    },
+  });
+
+  return { html, links: [...links], mentions: [...mentions] };
+}
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,64 @@
+const User = require("../models/User");
+const { renderMarkdown } = require("./markdown");
+
+// Mention forms: @ana@example.com, @[Ana Smith] and @AnaSmith / @ana.smith
+// (the name without spaces or punctuation, or a unique first name). Tokens
+// come from the Markdown renderer, so mentions inside code don't count, and
+// an @ after a word character, dot or @ is not one: "root@ana", "email@ana",
+// "x_@ana" and "**bold@ana**" mention nobody.
+const normalizeHandle = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, "");
+
+// Raw tokens of a comment body, split into emails and names
+function parseMentionTokens(body) {
+  const emails = new Set();
+  const names = new Set();
+
+  for (const handle of renderMarkdown(body).mentions) {
+    if (handle.includes("@")) emails.add(handle.toLowerCase());
+    else names.add(normalizeHandle(handle));
+  }
+  names.delete("");
+
+  return { emails: [...emails], names: [...names] };
+}
+
+// Users mentioned in `body`, looked up among the workspace's members only.
+// Names matching several members are ambiguous and ignored.
+async function resolveMentions(body, workspace) {
+  const { emails, names } = parseMentionTokens(body);
+  if (emails.length === 0 && names.length === 0) return [];
+
+  const members = await User.find({
+    _id: { $in: workspace.members.map((m) => m.uid) },
+  }).select("_id name email");
+
+  const byHandle = new Map();
+  const addHandle = (handle, member) => {
+    if (!handle) return;
+    const matches = byHandle.get(handle) || new Set();
+    matches.add(member._id.toString());
+    byHandle.set(handle, matches);
+  };
+  for (const member of members) {
+    addHandle(normalizeHandle(member.name), member);
+    addHandle(normalizeHandle(member.name?.split(/\s+/)[0]), member);
+  }
+
+  const mentionedIds = new Set();
+  for (const member of members) {
+    if (emails.includes(member.email?.toLowerCase())) {
+      mentionedIds.add(member._id.toString());
+    }
+  }
+  for (const name of names) {
+    const matches = byHandle.get(name);
+    if (matches?.size === 1) mentionedIds.add([...matches][0]);
+  }
+
+  return members.filter((m) => mentionedIds.has(m._id.toString()));
+}
+
+module.exports = { parseMentionTokens, resolveMentions };
@@ -0,0 +1,115 @@
+const Task = require("../models/Task");
+const { emitToRoom } = require("../workers/socketManager");
+
+// Ranks are base-36 fractions ("0.<rank>") compared lexicographically, so a
+// key can always be generated between two neighbours without touching them
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+const BASE = DIGITS.length;
+
+// Repeated inserts at the same spot (e.g. always moving to the top) add a
+// digit every few moves; past this length the column is re-ranked
+const MAX_RANK_LENGTH = 12;
+
+// Returns a rank strictly between `lower` and `upper`; either may be null
+// for the start/end of the column. Generated ranks never end in "0", which
+// keeps a gap available between any two of them.
+function rankBetween(lower, upper) {
+  const a = lower || "";
+  let b = upper || null;
+
+  if (b !== null && a >= b) {
+    throw new Error(`Invalid rank bounds: "${a}" must sort before "${b}"`);
+  }
+
+  let result = "";
+
+  for (let i = 0; ; i++) {
+    const digitA = i < a.length ? DIGITS.indexOf(a[i]) : 0;
+    const digitB = b !== null && i < b.length ? DIGITS.indexOf(b[i]) : BASE;
+
+    if (digitA === digitB) {
+      result += DIGITS[digitA];
+      continue;
+    }
+
+    // Appending at the end: step by one digit so ranks grow slowly
+    if (upper == null && digitA < BASE - 1) {
+      return result + DIGITS[digitA + 1];
+    }
+
+    const mid = Math.floor((digitA + digitB) / 2);
+    if (mid > digitA) {
+      return result + DIGITS[mid];
+    }
+
+    // Adjacent digits: keep the lower one and take the middle of the room
+    // after it, so inserts above the first task don't shrink toward "0"
+    result += DIGITS[digitA];
+    b = null;
+  }
+}
+
+// Evenly spaced ranks for `count` items, used when (re)building a column
+function generateRanks(count) {
+  const width = Math.max(1, Math.ceil(Math.log(count + 1) / Math.log(BASE)));
+  const step = Math.floor(Math.pow(BASE, width) / (count + 1));
+
+  return Array.from(
+    { length: count },
+    (_, index) => ((index + 1) * step).toString(BASE).padStart(width, "0") + "i"
+  );
+}
+
+// Re-ranks a project's status column evenly in its current order when
+// `rank` has grown past MAX_RANK_LENGTH and tells the project room. Returns
+// the new ranks as [{ taskId, rank }], or null when nothing changed.
+async function rebalanceColumnIfNeeded(projectId, status, rank) {
+  if (!rank || rank.length <= MAX_RANK_LENGTH) return null;
+
+  const tasks = await Task.find({ projectId, status })
+    .sort({ rank: 1, _id: 1 })
+    .select("_id");
+  const ranks = generateRanks(tasks.length);
+
+  await Task.bulkWrite(
+    tasks.map((task, index) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { rank: ranks[index] } },
+      },
+    }))
+  );
+
+  const rebalanced = tasks.map((task, index) => ({
+    taskId: task._id,
+    rank: ranks[index],
+  }));
+  emitToRoom(`project:${projectId}`, "task:column_reranked", {
+    projectId,
+    status,
+    ranks: rebalanced,
+  });
+
+  return rebalanced;
+}
+
+// Rank that places a task at the bottom of a project's status column
+async function rankAtColumnEnd(projectId, status) {
+  const last = await Task.findOne({ projectId, status })
+    .sort({ rank: -1 })
+    .select("rank");
+
+  const rank = rankBetween(last?.rank || null, null);
+  const rebalanced = await rebalanceColumnIfNeeded(projectId, status, rank);
+
+  return rebalanced
+    ? rankBetween(rebalanced[rebalanced.length - 1].rank, null)
+    : rank;
+}
+
+module.exports = {
+  rankBetween,
+  generateRanks,
+  rankAtColumnEnd,
+  rebalanceColumnIfNeeded,
+};
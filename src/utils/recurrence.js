@@ -0,0 +1,103 @@
+const {
+  DAY_MS,
+  isValidTimeZone,
+  getLocalDay,
+  zonedTimeToDate,
+} = require("./timezone");
+
+// RRULE-style recurrence (daily, weekly on days, monthly on a date) evaluated
+// in a workspace time zone. Calendar days are handled as UTC midnights so
+// that DST changes never shift them; only the final instant is zoned.
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const MAX_LOOKAHEAD_DAYS = 800;
+
+// "YYYY-MM-DD" <-> UTC midnight of that calendar day
+const parseLocalDate = (value) => {
+  const [year, month, day] = value.split("-").map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+// Monday of the week containing `dayMs`
+const startOfWeek = (dayMs) =>
+  dayMs - ((new Date(dayMs).getUTCDay() + 6) % 7) * DAY_MS;
+
+function matchesRule(rule, dayMs, anchorMs) {
+  if (dayMs < anchorMs) return false;
+
+  const day = new Date(dayMs);
+  const anchor = new Date(anchorMs);
+  const interval = rule.interval || 1;
+
+  if (rule.freq === "daily") {
+    return Math.round((dayMs - anchorMs) / DAY_MS) % interval === 0;
+  }
+
+  if (rule.freq === "weekly") {
+    const weekdays = rule.byWeekday?.length
+      ? rule.byWeekday
+      : [WEEKDAYS[anchor.getUTCDay()]];
+    if (!weekdays.includes(WEEKDAYS[day.getUTCDay()])) return false;
+
+    const weeks = Math.round(
+      (startOfWeek(dayMs) - startOfWeek(anchorMs)) / (7 * DAY_MS)
+    );
+    return weeks % interval === 0;
+  }
+
+  if (rule.freq === "monthly") {
+    const months =
+      (day.getUTCFullYear() - anchor.getUTCFullYear()) * 12 +
+      day.getUTCMonth() -
+      anchor.getUTCMonth();
+    if (months % interval !== 0) return false;
+
+    // Day 31 (etc.) falls on the last day of shorter months
+    const daysInMonth = new Date(
+      Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+    const monthDay = rule.byMonthDay ?? anchor.getUTCDate();
+    return day.getUTCDate() === Math.min(monthDay, daysInMonth);
+  }
+
+  return false;
+}
+
+// First occurrence strictly after `after`, or null once the rule has ended
+function nextOccurrence(rule, timeZone, after = new Date()) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : "UTC";
+  const anchor = parseLocalDate(rule.startDate);
+  const until = rule.until ? parseLocalDate(rule.until) : null;
+
+  let day = Math.max(anchor, getLocalDay(after, zone));
+
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++, day += DAY_MS) {
+    if (until !== null && day > until) return null;
+    if (!matchesRule(rule, day, anchor)) continue;
+
+    const occurrence = zonedTimeToDate(day, rule.time, zone);
+    if (occurrence > after) return occurrence;
+  }
+
+  return null;
+}
+
+function upcomingOccurrences(rule, timeZone, count, after = new Date()) {
+  const occurrences = [];
+  let cursor = after;
+
+  while (occurrences.length < count) {
+    const next = nextOccurrence(rule, timeZone, cursor);
+    if (!next) break;
+    occurrences.push(next);
+    cursor = next;
+  }
+
+  return occurrences;
+}
+
+module.exports = {
+  WEEKDAYS,
+  parseLocalDate,
+  nextOccurrence,
+  upcomingOccurrences,
+};
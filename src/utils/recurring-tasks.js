@@ -0,0 +1,159 @@
+const Task = require("../models/Task");
+const TaskTemplate = require("../models/TaskTemplate");
+const Project = require("../models/Project");
+const Workspace = require("../models/Workspace");
+const { notify } = require("../lib/notification-service");
+const { emitToRoom } = require("../workers/socketManager");
+const { rankAtColumnEnd } = require("./rank");
+const { diffFields } = require("./diff");
+const { getInitialStatus, getStatusCategory } = require("./workflow");
+const { TRACKED_TASK_FIELDS, recordTaskActivity } = require("./task-activity");
+const { nextOccurrence } = require("./recurrence");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Next run of a template after `after`, or null once its rule or its
+// occurrence count is exhausted
+function getNextRunAt(template, timeZone, after = new Date()) {
+  const { recurrence } = template;
+  if (recurrence.count && template.occurrences >= recurrence.count) {
+    return null;
+  }
+  return nextOccurrence(recurrence, timeZone, after);
+}
+
+async function getWorkspaceTimeZone(workspaceId) {
+  const workspace = await Workspace.findById(workspaceId).select(
+    "settings.timezone"
+  );
+  return workspace?.settings?.timezone;
+}
+
+async function createTaskFromTemplate(template, project, occurrenceAt) {
+  const status = getInitialStatus(project);
+
+  const task = await Task.create({
+    projectId: project._id,
+    title: template.title,
+    description: template.description,
+    priority: template.priority,
+    assignees: template.assignees,
+    tags: template.tags,
+    estimate: template.estimate,
+    status,
+    statusCategory: getStatusCategory(project, status),
+    rank: await rankAtColumnEnd(project._id, status),
+    dueDate:
+      template.dueInDays != null
+        ? new Date(occurrenceAt.getTime() + template.dueInDays * DAY_MS)
+        : undefined,
+    createdBy: template.createdBy,
+    templateId: template._id,
+    occurrenceAt,
+  });
+
+  await recordTaskActivity({
+    task,
+    workspaceId: project.workspaceId,
+    actorId: template.createdBy,
+    actorType: "system",
+    action: "created",
+    changes: diffFields(null, task, TRACKED_TASK_FIELDS),
+  });
+
+  emitToRoom(`project:${project._id}`, "task:created", {
+    task,
+    actorId: template.createdBy,
+  });
+
+  // System event: the template's creator is notified too if assigned
+  await notify({
+    type: "task_assigned",
+    recipients: task.assignees,
+    title: "Recurring Task Created",
+    message: `Recurring task "${task.title}" was created in ${project.name}.`,
+    payload: {
+      taskId: task._id,
+      projectId: project._id,
+      workspaceId: project.workspaceId,
+      actorId: template.createdBy,
+    },
+  });
+
+  return task;
+}
+
+// Creates the instance of every template whose next run is due and schedules
+// the following one. Occurrences missed while the worker was down collapse
+// into a single instance.
+async function materializeDueTemplates(now = new Date()) {
+  const result = { created: 0, skipped: 0 };
+  const timeZones = new Map();
+
+  for (;;) {
+    const templates = await TaskTemplate.find({
+      active: true,
+      nextRunAt: { $ne: null, $lte: now },
+    })
+      .sort({ nextRunAt: 1 })
+      .limit(BATCH_SIZE);
+    if (templates.length === 0) break;
+
+    for (const template of templates) {
+      const occurrenceAt = template.nextRunAt;
+
+      // Projects in the trash skip their occurrences
+      const project = await Project.findById(template.projectId);
+      if (project) {
+        try {
+          await createTaskFromTemplate(template, project, occurrenceAt);
+          result.created++;
+        } catch (error) {
+          // Already created by an earlier, interrupted run
+          if (error.code !== 11000) throw error;
+          result.skipped++;
+        }
+        template.occurrences += 1;
+        template.lastRunAt = now;
+      } else {
+        result.skipped++;
+      }
+
+      const workspaceKey = template.workspaceId.toString();
+      if (!timeZones.has(workspaceKey)) {
+        timeZones.set(
+          workspaceKey,
+          await getWorkspaceTimeZone(template.workspaceId)
+        );
+      }
+
+      template.nextRunAt = getNextRunAt(
+        template,
+        timeZones.get(workspaceKey),
+        now > occurrenceAt ? now : occurrenceAt
+      );
+      if (!template.nextRunAt) template.active = false;
+      await template.save();
+    }
+  }
+
+  return result;
+}
+
+// Recomputes upcoming runs, e.g. after the workspace time zone changed
+async function rescheduleWorkspaceTemplates(workspaceId, timeZone) {
+  const templates = await TaskTemplate.find({ workspaceId, active: true });
+
+  for (const template of templates) {
+    template.nextRunAt = getNextRunAt(template, timeZone);
+    if (!template.nextRunAt) template.active = false;
+    await template.save();
+  }
+}
+
+module.exports = {
+  getNextRunAt,
+  materializeDueTemplates,
+  rescheduleWorkspaceTemplates,
+};
@@ -0,0 +1,66 @@
+const SNIPPET_RADIUS = 60;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Plain terms of a $text query; quotes are dropped and negated terms ignored
+const parseSearchTerms = (query) =>
+  query
+    .toLowerCase()
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"));
+
+// Text around the first matching term, with [start, end) offsets of every
+// term occurrence inside it, or null when no term occurs in the text
+function buildSnippet(text, terms) {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(terms.map(escapeRegex).join("|"), "gi");
+  const first = text.search(pattern);
+  if (first === -1) return null;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  const snippet = prefix + text.slice(start, end) + suffix;
+
+  const highlights = [];
+  for (const match of snippet.matchAll(pattern)) {
+    highlights.push([match.index, match.index + match[0].length]);
+  }
+
+  return { text: snippet, highlights };
+}
+
+// Snippet from the first listed field that contains a term; falls back to
+// the start of the first non-empty field
+function snippetFromFields(doc, fields, terms) {
+  for (const field of fields) {
+    const value = Array.isArray(doc[field])
+      ? doc[field].join(", ")
+      : doc[field];
+    const snippet = buildSnippet(value, terms);
+    if (snippet) return { field, ...snippet };
+  }
+
+  const field = fields.find((f) => doc[f]);
+  if (!field) return null;
+
+  const value = String(doc[field]);
+  return {
+    field,
+    text:
+      value.length > SNIPPET_RADIUS * 2
+        ? `${value.slice(0, SNIPPET_RADIUS * 2)}…`
+        : value,
+    highlights: [],
+  };
+}
+
+module.exports = {
+  escapeRegex,
+  parseSearchTerms,
+  buildSnippet,
+  snippetFromFields,
+};
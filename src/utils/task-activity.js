@@ -0,0 +1,45 @@
+const TaskActivity = require("../models/TaskActivity");
+
+// Fields tracked in task activity and task:updated diffs
+const TRACKED_TASK_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "assignees",
+  "dueDate",
+  "estimate",
+  "progress",
+  "tags",
+  "rank",
+  "parentTaskId",
+  "blockedBy",
+];
+
+// History is best effort: a failed write must never fail the mutation itself
+async function recordTaskActivity({
+  task,
+  workspaceId,
+  actorId,
+  actorType = "user",
+  action,
+  changes = {},
+}) {
+  try {
+    if (action === "updated" && Object.keys(changes).length === 0) return;
+
+    await TaskActivity.create({
+      taskId: task._id,
+      projectId: task.projectId?._id || task.projectId,
+      workspaceId,
+      actorId,
+      actorType,
+      action,
+      changes,
+    });
+  } catch (error) {
+    console.error("🕓 Record task activity error:", error);
+  }
+}
+
+module.exports = { TRACKED_TASK_FIELDS, recordTaskActivity };
@@ -0,0 +1,86 @@
+const Task = require("../models/Task");
+const { notify } = require("../lib/notification-service");
+
+// Blockers of a task that are not in a done status yet
+async function getOpenBlockers(task) {
+  if (!task.blockedBy?.length) return [];
+
+  return Task.find({
+    _id: { $in: task.blockedBy },
+    statusCategory: { $ne: "done" },
+  })
+    .select("_id title status projectId")
+    .lean();
+}
+
+// Follows blockedBy links breadth-first from `fromId` and returns the chain
+// of task ids leading to `targetId`, or null if it cannot be reached. Tasks in
+// the trash are followed too, since they can be restored.
+async function findBlockingPath(fromId, targetId) {
+  const target = targetId.toString();
+  const reachedFrom = new Map([[fromId.toString(), null]]);
+  let frontier = [fromId];
+
+  while (frontier.length > 0) {
+    const tasks = await Task.find({ _id: { $in: frontier } })
+      .select("blockedBy")
+      .setOptions({ withDeleted: true })
+      .lean();
+
+    const next = [];
+    for (const task of tasks) {
+      for (const blockerId of task.blockedBy || []) {
+        const id = blockerId.toString();
+        if (reachedFrom.has(id)) continue;
+        reachedFrom.set(id, task._id.toString());
+
+        if (id === target) {
+          const path = [id];
+          while (reachedFrom.get(path[0]))
+            path.unshift(reachedFrom.get(path[0]));
+          return path;
+        }
+        next.push(blockerId);
+      }
+    }
+    frontier = next;
+  }
+
+  return null;
+}
+
+// Tells assignees of tasks waiting on `blocker` that it has been completed.
+// Best effort, like the other side effects of a status change.
+async function notifyBlockerCompleted({ blocker, workspaceId, actor }) {
+  try {
+    const dependents = await Task.find({ blockedBy: blocker._id }).select(
+      "title assignees projectId blockedBy"
+    );
+
+    for (const dependent of dependents) {
+      const stillBlocked = await Task.exists({
+        _id: { $in: dependent.blockedBy },
+        statusCategory: { $ne: "done" },
+      });
+
+      await notify({
+        type: "task_unblocked",
+        actor,
+        recipients: dependent.assignees,
+        title: stillBlocked ? "Blocker Completed" : "Task Unblocked",
+        message: stillBlocked
+          ? `"${blocker.title}", which blocks "${dependent.title}", was completed by ${actor.name}.`
+          : `"${dependent.title}" is no longer blocked: "${blocker.title}" was completed by ${actor.name}.`,
+        payload: {
+          taskId: dependent._id,
+          projectId: dependent.projectId,
+          workspaceId,
+        },
+      });
+    }
+  } catch (error) {
+    console.error("🔗 Blocker notification error:", error);
+  }
+}
+
+module.exports = { getOpenBlockers, findBlockingPath, notifyBlockerCompleted };
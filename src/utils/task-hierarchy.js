@@ -0,0 +1,63 @@
+const Task = require("../models/Task");
+const { emitToRoom } = require("../workers/socketManager");
+
+// Recalculate a parent's progress from the completion of its children,
+// then walk up the chain so grandparents stay in sync as well
+async function rollUpProgress(parentTaskId) {
+  let currentId = parentTaskId;
+  const visited = new Set();
+
+  while (currentId && !visited.has(currentId.toString())) {
+    visited.add(currentId.toString());
+
+    const parent = await Task.findById(currentId).select(
+      "_id projectId parentTaskId progress"
+    );
+    if (!parent) return;
+
+    const children = await Task.find({ parentTaskId: parent._id }).select(
+      "statusCategory"
+    );
+
+    // Keep manually set progress when the task has no children left
+    if (children.length > 0) {
+      const completed = children.filter(
+        (c) => c.statusCategory === "done"
+      ).length;
+      const progress = Math.round((completed / children.length) * 100);
+
+      if (progress !== parent.progress) {
+        await Task.updateOne({ _id: parent._id }, { $set: { progress } });
+
+        emitToRoom(`project:${parent.projectId}`, "task:updated", {
+          taskId: parent._id,
+          projectId: parent.projectId,
+          changes: {
+            progress: { from: parent.progress ?? null, to: progress },
+          },
+        });
+      }
+    }
+
+    currentId = parent.parentTaskId;
+  }
+}
+
+// Collect the ids of every descendant of a task (children, grandchildren...)
+async function collectDescendantIds(taskId) {
+  const descendants = [];
+  let frontier = [taskId];
+
+  while (frontier.length > 0) {
+    const children = await Task.find({
+      parentTaskId: { $in: frontier },
+    }).select("_id");
+
+    frontier = children.map((c) => c._id);
+    descendants.push(...frontier);
+  }
+
+  return descendants;
+}
+
+module.exports = { rollUpProgress, collectDescendantIds };
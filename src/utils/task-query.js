@@ -0,0 +1,149 @@
+const { Types } = require("mongoose");
+const Task = require("../models/Task");
+const Project = require("../models/Project");
+const { encodeCursor } = require("./cursor");
+
+const PRIORITY_ORDER = ["low", "medium", "high", "critical"];
+const FAR_FUTURE = new Date("9999-12-31T00:00:00.000Z");
+
+// Value each sort key orders by; nulls are mapped so they sort consistently
+// and can be compared against a cursor
+const SORT_EXPRESSIONS = {
+  rank: { $ifNull: ["$rank", ""] },
+  createdAt: "$createdAt",
+  updatedAt: "$updatedAt",
+  dueDate: { $ifNull: ["$dueDate", FAR_FUTURE] },
+  priority: { $indexOfArray: [PRIORITY_ORDER, "$priority"] },
+  title: { $toLower: "$title" },
+};
+
+const toObjectId = (id, userId) =>
+  new Types.ObjectId(id === "me" ? userId.toString() : id);
+
+// Translates validated `commonSchemas.taskFilters` into a $match filter.
+// Aggregations do not cast, so ids are converted here.
+function buildTaskFilter(filters, userId) {
+  const filter = {};
+
+  if (filters.status) filter.status = { $in: filters.status };
+  if (filters.statusCategory) {
+    filter.statusCategory = { $in: filters.statusCategory };
+  }
+  if (filters.priority) filter.priority = { $in: filters.priority };
+  if (filters.assignee) filter.assignees = toObjectId(filters.assignee, userId);
+  if (filters.createdBy) {
+    filter.createdBy = toObjectId(filters.createdBy, userId);
+  }
+  if (filters.tag) filter.tags = { $in: filters.tag };
+
+  if (filters.dueFrom || filters.dueTo) {
+    filter.dueDate = {};
+    if (filters.dueFrom) filter.dueDate.$gte = filters.dueFrom;
+    if (filters.dueTo) filter.dueDate.$lte = filters.dueTo;
+  }
+
+  if (filters.aiProcessed !== undefined) {
+    filter["ai.lastProcessed"] = filters.aiProcessed ? { $ne: null } : null;
+  }
+
+  // Past due and not in a done status, evaluated at query time
+  if (filters.overdue !== undefined) {
+    const overdue = {
+      dueDate: { $lt: new Date() },
+      statusCategory: { $ne: "done" },
+    };
+    if (filters.overdue) {
+      filter.$and = [overdue];
+    } else {
+      filter.$nor = [overdue];
+    }
+  }
+
+  return filter;
+}
+
+const parseSort = (sort) =>
+  sort.startsWith("-")
+    ? { key: sort.slice(1), direction: -1 }
+    : { key: sort, direction: 1 };
+
+// Cursors are only valid for the sort they were issued with
+const cursorMatchesSort = ({ cursor, sort }) => !cursor || cursor.sort === sort;
+
+// Keyset-paginated pipeline; reads one extra task to know if more remain
+function buildTaskPagePipeline(match, { sort, cursor, limit }) {
+  const { key, direction } = parseSort(sort);
+  const op = direction === 1 ? "$gt" : "$lt";
+
+  const pipeline = [
+    { $match: match },
+    { $addFields: { _sortValue: SORT_EXPRESSIONS[key] } },
+  ];
+
+  if (cursor) {
+    pipeline.push({
+      $match: {
+        $or: [
+          { _sortValue: { [op]: cursor.value } },
+          { _sortValue: cursor.value, _id: { [op]: cursor.id } },
+        ],
+      },
+    });
+  }
+
+  pipeline.push(
+    { $sort: { _sortValue: direction, _id: direction } },
+    { $limit: limit + 1 }
+  );
+
+  return pipeline;
+}
+
+// Splits the extra task off and builds the cursor for the next page
+function toTaskPage(tasks, { sort, limit }) {
+  const hasMore = tasks.length > limit;
+  const page = hasMore ? tasks.slice(0, limit) : tasks;
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map(({ _sortValue, ...task }) => task),
+    nextCursor: hasMore
+      ? encodeCursor({ sort, value: last._sortValue, id: last._id })
+      : null,
+  };
+}
+
+// One page of tasks with creator and assignees populated
+async function findTaskPage(match, query) {
+  const tasks = await Task.aggregate(buildTaskPagePipeline(match, query));
+  const page = toTaskPage(tasks, query);
+
+  await Task.populate(page.items, [
+    { path: "createdBy", select: "_id name email avatarURL" },
+    { path: "assignees", select: "_id name email avatarURL" },
+  ]);
+
+  return page;
+}
+
+// The task, or null when it doesn't exist or belongs to another workspace
+const findTaskInWorkspace = async (taskId, workspaceId) => {
+  const task = await Task.findById(taskId);
+  if (!task) return null;
+
+  const project = await Project.findById(task.projectId).select("workspaceId");
+  if (!project || project.workspaceId.toString() !== workspaceId.toString()) {
+    return null;
+  }
+
+  return task;
+};
+
+module.exports = {
+  buildTaskFilter,
+  cursorMatchesSort,
+  buildTaskPagePipeline,
+  toTaskPage,
+  findTaskPage,
+  findTaskInWorkspace,
+};
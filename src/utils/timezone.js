@@ -0,0 +1,79 @@
+// Time zone helpers built on Intl, so no date library is needed. Calendar
+// days are represented as the UTC midnight of that day.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+const getOffsetMs = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Calendar day (UTC midnight) that `date` falls on in `timeZone`
+const getLocalDay = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day);
+};
+
+// Instant at which the wall clock in `timeZone` shows `time` on `dayMs`
+function zonedTimeToDate(dayMs, time, timeZone) {
+  const [hour, minute] = time.split(":").map(Number);
+  const wallClock = dayMs + (hour * 60 + minute) * 60 * 1000;
+
+  // The offset can differ between the guess and the real instant around DST
+  const guess = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+  return new Date(wallClock - getOffsetMs(new Date(guess), timeZone));
+}
+
+const formatInTimeZone = (date, timeZone) =>
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : "UTC",
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(date);
+
+module.exports = {
+  DAY_MS,
+  isValidTimeZone,
+  getLocalDay,
+  zonedTimeToDate,
+  formatInTimeZone,
+};
@@ -0,0 +1,197 @@
+const Task = require("../models/Task");
+const Project = require("../models/Project");
+const Workspace = require("../models/Workspace");
+const Comment = require("../models/Comment");
+const Invite = require("../models/Invite");
+const TaskActivity = require("../models/TaskActivity");
+const ProjectAIReport = require("../models/ProjectAIReport");
+const TaskTemplate = require("../models/TaskTemplate");
+const { collectDescendantIds } = require("./task-hierarchy");
+const { deleteAttachmentFiles } = require("./attachments");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 500;
+
+const getRetentionDays = () =>
+  Number(process.env.TRASH_RETENTION_DAYS) > 0
+    ? Number(process.env.TRASH_RETENTION_DAYS)
+    : 30;
+
+const getPurgeDate = (deletedAt) =>
+  deletedAt
+    ? new Date(deletedAt.getTime() + getRetentionDays() * DAY_MS)
+    : null;
+
+const restoredFields = { deletedAt: null, deletedBy: null, deletedWith: null };
+
+// Soft-deletes a task and its subtasks; returns the cascaded subtask ids
+async function softDeleteTask(task, actorId) {
+  const deletedAt = new Date();
+  const descendantIds = await collectDescendantIds(task._id);
+
+  await Task.updateOne(
+    { _id: task._id, deletedAt: null },
+    { $set: { deletedAt, deletedBy: actorId, deletedWith: null } }
+  );
+
+  if (descendantIds.length > 0) {
+    await Task.updateMany(
+      { _id: { $in: descendantIds }, deletedAt: null },
+      { $set: { deletedAt, deletedBy: actorId, deletedWith: task._id } }
+    );
+  }
+
+  return descendantIds;
+}
+
+// Restores a task together with the subtasks deleted alongside it
+async function restoreTask(task) {
+  await Task.updateMany(
+    {
+      $or: [{ _id: task._id }, { deletedWith: task._id }],
+      deletedAt: { $ne: null },
+    },
+    { $set: restoredFields }
+  );
+}
+
+async function softDeleteProject(
+  project,
+  actorId,
+  { deletedAt = new Date(), deletedWith = null } = {}
+) {
+  await Project.updateOne(
+    { _id: project._id, deletedAt: null },
+    { $set: { deletedAt, deletedBy: actorId, deletedWith } }
+  );
+
+  await Task.updateMany(
+    { projectId: project._id, deletedAt: null },
+    {
+      $set: {
+        deletedAt,
+        deletedBy: actorId,
+        deletedWith: deletedWith || project._id,
+      },
+    }
+  );
+}
+
+async function restoreProject(project) {
+  await Task.updateMany(
+    {
+      projectId: project._id,
+      deletedWith: project._id,
+      deletedAt: { $ne: null },
+    },
+    { $set: restoredFields }
+  );
+
+  await Project.updateOne(
+    { _id: project._id, deletedAt: { $ne: null } },
+    { $set: restoredFields }
+  );
+}
+
+async function softDeleteWorkspace(workspace, actorId) {
+  const deletedAt = new Date();
+  const projects = await Project.find({ workspaceId: workspace._id }).select(
+    "_id"
+  );
+
+  for (const project of projects) {
+    await softDeleteProject(project, actorId, {
+      deletedAt,
+      deletedWith: workspace._id,
+    });
+  }
+
+  await Workspace.updateOne(
+    { _id: workspace._id, deletedAt: null },
+    { $set: { deletedAt, deletedBy: actorId, deletedWith: null } }
+  );
+}
+
+async function restoreWorkspace(workspace) {
+  await Task.updateMany(
+    { deletedWith: workspace._id, deletedAt: { $ne: null } },
+    { $set: restoredFields }
+  );
+
+  await Project.updateMany(
+    {
+      workspaceId: workspace._id,
+      deletedWith: workspace._id,
+      deletedAt: { $ne: null },
+    },
+    { $set: restoredFields }
+  );
+
+  await Workspace.updateOne(
+    { _id: workspace._id, deletedAt: { $ne: null } },
+    { $set: restoredFields }
+  );
+}
+
+// Permanently removes everything that has been in the trash longer than the
+// retention period, children first. Attachment files go with their tasks.
+async function purgeExpiredTrash() {
+  const cutoff = new Date(Date.now() - getRetentionDays() * DAY_MS);
+  const expired = { deletedAt: { $ne: null, $lt: cutoff } };
+  const purged = { tasks: 0, projects: 0, workspaces: 0 };
+
+  for (;;) {
+    const tasks = await Task.find(expired)
+      .select("_id attachments.storageKey")
+      .limit(PURGE_BATCH_SIZE)
+      .lean();
+    if (tasks.length === 0) break;
+
+    const taskIds = tasks.map((t) => t._id);
+    await deleteAttachmentFiles(tasks.flatMap((t) => t.attachments || []));
+    await Task.updateMany(
+      { blockedBy: { $in: taskIds } },
+      { $pull: { blockedBy: { $in: taskIds } } }
+    ).setOptions({ withDeleted: true });
+    await Comment.deleteMany({ taskId: { $in: taskIds } });
+    await TaskActivity.deleteMany({ taskId: { $in: taskIds } });
+    const { deletedCount } = await Task.deleteMany({ _id: { $in: taskIds } });
+    purged.tasks += deletedCount;
+  }
+
+  const projects = await Project.find(expired).select("_id").lean();
+  if (projects.length > 0) {
+    const projectIds = projects.map((p) => p._id);
+    await TaskActivity.deleteMany({ projectId: { $in: projectIds } });
+    await ProjectAIReport.deleteMany({ projectId: { $in: projectIds } });
+    await TaskTemplate.deleteMany({ projectId: { $in: projectIds } });
+    const { deletedCount } = await Project.deleteMany({
+      _id: { $in: projectIds },
+    });
+    purged.projects = deletedCount;
+  }
+
+  const workspaces = await Workspace.find(expired).select("_id").lean();
+  if (workspaces.length > 0) {
+    const workspaceIds = workspaces.map((w) => w._id);
+    await Invite.deleteMany({ workspaceId: { $in: workspaceIds } });
+    const { deletedCount } = await Workspace.deleteMany({
+      _id: { $in: workspaceIds },
+    });
+    purged.workspaces = deletedCount;
+  }
+
+  return purged;
+}
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  softDeleteTask,
+  restoreTask,
+  softDeleteProject,
+  restoreProject,
+  softDeleteWorkspace,
+  restoreWorkspace,
+  purgeExpiredTrash,
+};
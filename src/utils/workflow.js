@@ -0,0 +1,114 @@
+const { ROLE_HIERARCHY } = require("../middleware/rbac");
+
+const STATUS_CATEGORIES = ["todo", "active", "done"];
+
+const DEFAULT_WORKFLOW_STATUSES = [
+  { key: "todo", name: "To Do", category: "todo" },
+  { key: "in_progress", name: "In Progress", category: "active" },
+  { key: "done", name: "Done", category: "done" },
+];
+
+// Projects created before workflows existed fall back to the default columns
+function getWorkflowStatuses(project) {
+  const statuses = project?.workflow?.statuses;
+  return statuses && statuses.length > 0 ? statuses : DEFAULT_WORKFLOW_STATUSES;
+}
+
+function findWorkflowStatus(project, key) {
+  return getWorkflowStatuses(project).find((s) => s.key === key) || null;
+}
+
+function getStatusCategory(project, key) {
+  return findWorkflowStatus(project, key)?.category || null;
+}
+
+// New tasks land in the first "todo" column, or the first column otherwise
+function getInitialStatus(project) {
+  const statuses = getWorkflowStatuses(project);
+  return (statuses.find((s) => s.category === "todo") || statuses[0]).key;
+}
+
+function getStatusKeysByCategory(project, category) {
+  return getWorkflowStatuses(project)
+    .filter((s) => s.category === category)
+    .map((s) => s.key);
+}
+
+// "*" as the source status matches every status
+function getTransitionRules(project, fromKey) {
+  const transitions = project?.workflow?.transitions || [];
+
+  if (transitions.length === 0) {
+    return getWorkflowStatuses(project)
+      .filter((s) => s.key !== fromKey)
+      .map((s) => ({ from: fromKey, to: s.key }));
+  }
+
+  return transitions.filter(
+    (t) => (t.from === fromKey || t.from === "*") && t.to !== fromKey
+  );
+}
+
+function getGuardFailure(rule, { role, assignees }) {
+  if (
+    rule.minRole &&
+    (ROLE_HIERARCHY[role] || 0) < ROLE_HIERARCHY[rule.minRole]
+  ) {
+    return `Moving to "${rule.to}" requires the ${rule.minRole} role`;
+  }
+
+  if (rule.requireAssignee && (!assignees || assignees.length === 0)) {
+    return `Task must have an assignee before moving to "${rule.to}"`;
+  }
+
+  return null;
+}
+
+function getAllowedNextStatuses(project, fromKey, context) {
+  const allowed = getTransitionRules(project, fromKey)
+    .filter((rule) => !getGuardFailure(rule, context))
+    .map((rule) => rule.to);
+
+  return [...new Set(allowed)];
+}
+
+// Returns null when the move is allowed, otherwise the reason it is not
+function checkTransition(project, fromKey, toKey, context) {
+  if (fromKey === toKey) return null;
+
+  const rules = getTransitionRules(project, fromKey).filter(
+    (rule) => rule.to === toKey
+  );
+  const allowedNextStatuses = getAllowedNextStatuses(project, fromKey, context);
+
+  if (rules.length === 0) {
+    return {
+      code: "transition_not_allowed",
+      message: `Cannot move a task from "${fromKey}" to "${toKey}"`,
+      allowedNextStatuses,
+    };
+  }
+
+  const failures = rules.map((rule) => getGuardFailure(rule, context));
+  if (failures.every(Boolean)) {
+    return {
+      code: "transition_guard_failed",
+      message: failures[0],
+      allowedNextStatuses,
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW_STATUSES,
+  getWorkflowStatuses,
+  findWorkflowStatus,
+  getStatusCategory,
+  getInitialStatus,
+  getStatusKeysByCategory,
+  getAllowedNextStatuses,
+  checkTransition,
+};
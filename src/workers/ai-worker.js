@@ -1,18 +1,29 @@
 require("dotenv").config();
 const { Worker } = require("bullmq");
 const mongoose = require("mongoose");
-const { io } = require("socket.io-client");
 const { connectDB } = require("../lib/db");
+const { connectWorkerSocket } = require("../lib/worker-socket");
 const Task = require("../models/Task");
 const Comment = require("../models/Comment");
 const Project = require("../models/Project");
+const ProjectAIReport = require("../models/ProjectAIReport");
 const User = require("../models/User");
 const { getGemini } = require("../lib/ai");
+const { recordTaskActivity } = require("../utils/task-activity");
+const { parseCriticalPathResponse } = require("../utils/critical-path");
 const {
   buildSummaryPrompt,
   buildSubtasksPrompt,
   buildPriorityPrompt,
+  buildCriticalPathPrompt,
 } = require("../utils/prompts");
+const {
+  extractAttachmentExcerpts,
+  citeSources,
+} = require("../utils/attachment-text");
+
+// Upper bound on tasks sent in a single project analysis prompt
+const CRITICAL_PATH_TASK_LIMIT = 150;
 
 (async () => {
   try {
@@ -20,42 +31,115 @@ const {
     console.log("🤖 AI Worker starting...");
 
     // Connect to main server's Socket.IO as worker
-    const socket = io(process.env.BACKEND_URL || "https://localhost:8080", {
-      auth: { type: "worker", secret: process.env.WORKER_SECRET },
-      reconnection: true,
-      reconnectionDelay: 1000,
-      reconnectionAttempts: 10,
-      rejectUnauthorized: false,
-    });
+    const socket = connectWorkerSocket("AI Worker");
 
-    socket.on("connect", () => {
-      console.log("🔌 Worker connected to Socket.IO server");
-    });
+    const model = getGemini();
 
-    socket.on("disconnect", () => {
-      console.log("🔌 Worker disconnected from Socket.IO server");
-    });
+    // Project-level job: proposes dependencies and a critical path over all
+    // open tasks of a project and stores them as a ProjectAIReport
+    const processCriticalPath = async (job) => {
+      const { data } = job;
+      const report = await ProjectAIReport.findById(data.reportId);
+      if (!report) {
+        throw new Error(`Project AI report not found: ${data.reportId}`);
+      }
 
-    socket.on("connect_error", (err) => {
-      console.error("🔌 Worker connection error:", err.message);
-    });
+      try {
+        const project = await Project.findById(data.projectId);
+        if (!project) {
+          throw new Error(`Project not found: ${data.projectId}`);
+        }
 
-    const model = getGemini();
+        const tasks = await Task.find({
+          projectId: project._id,
+          statusCategory: { $ne: "done" },
+        })
+          .select(
+            "title description status priority estimate dueDate blockedBy"
+          )
+          .sort({ rank: 1 })
+          .limit(CRITICAL_PATH_TASK_LIMIT);
+
+        if (tasks.length === 0) {
+          throw new Error("Project has no open tasks to analyze");
+        }
+
+        const prompt = buildCriticalPathPrompt(project, tasks);
+        const result = await model.generateContent(prompt);
+        const analysis = parseCriticalPathResponse(
+          result.response.text(),
+          tasks
+        );
+
+        Object.assign(report, analysis, {
+          status: "completed",
+          taskCount: tasks.length,
+          error: undefined,
+          completedAt: new Date(),
+        });
+        await report.save();
+
+        socket.emit("ai:result", {
+          type: "critical_path",
+          projectId: project._id.toString(),
+          data: { reportId: report._id.toString(), report },
+        });
+
+        return {
+          success: true,
+          type: "critical_path",
+          projectId: project._id,
+          reportId: report._id,
+        };
+      } catch (error) {
+        // Only the last attempt marks the report as failed
+        if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+          report.status = "failed";
+          report.error = error.message;
+          await report.save();
+
+          socket.emit("ai:result", {
+            type: "critical_path",
+            projectId: report.projectId.toString(),
+            data: { reportId: report._id.toString(), report },
+          });
+        }
+        throw error;
+      }
+    };
 
     const worker = new Worker(
       "ai",
       async (job) => {
         const { name, data } = job;
+
+        if (name === "critical-path") {
+          console.log(
+            `🔄 Processing AI job: ${name} for project ${data.projectId}`
+          );
+          return processCriticalPath(job);
+        }
+
         console.log(`🔄 Processing AI job: ${name} for task ${data.taskId}`);
 
         const task = await Task.findById(data.taskId).populate(
           "projectId",
-          "_id"
+          "_id workspaceId"
         );
         if (!task) {
           throw new Error(`Task not found: ${data.taskId}`);
         }
 
+        const recordAIActivity = (action, changes) =>
+          recordTaskActivity({
+            task,
+            workspaceId: task.projectId.workspaceId,
+            actorId: data.requestedBy,
+            actorType: "ai",
+            action,
+            changes,
+          });
+
         try {
           if (name === "summary") {
             const comments = await Comment.find({ taskId: task._id })
@@ -63,21 +147,31 @@ const {
               .sort({ createdAt: -1 })
               .limit(30);
 
-            const prompt = buildSummaryPrompt(task, comments);
+            const excerpts = await extractAttachmentExcerpts(task);
+
+            const prompt = buildSummaryPrompt(task, comments, excerpts);
             const result = await model.generateContent(prompt);
             const text = result.response.text();
+            const { summary, sources } = citeSources(text.trim(), excerpts);
+
+            const previousSummary = task.ai?.summary ?? null;
 
             task.ai = task.ai || {};
-            task.ai.summary = text.trim();
+            task.ai.summary = summary;
+            task.ai.summarySources = sources;
             task.ai.lastProcessed = new Date();
             await task.save();
 
+            await recordAIActivity("ai_summary", {
+              aiSummary: { from: previousSummary, to: task.ai.summary },
+            });
+
             // Emit to Socket.IO
             socket.emit("ai:result", {
               type: "summary",
               taskId: task._id.toString(),
               projectId: task.projectId._id.toString(),
-              data: { summary: text.trim(), lastProcessed: new Date() },
+              data: { summary, sources, lastProcessed: new Date() },
             });
 
             return {
@@ -98,11 +192,19 @@ const {
               .filter((line) => line.length > 0 && line.length < 200)
               .slice(0, 10);
 
+            const previousSubtasks = task.ai?.suggestedSubtasks?.length
+              ? [...task.ai.suggestedSubtasks]
+              : null;
+
             task.ai = task.ai || {};
             task.ai.suggestedSubtasks = lines;
             task.ai.lastProcessed = new Date();
             await task.save();
 
+            await recordAIActivity("ai_subtasks", {
+              aiSuggestedSubtasks: { from: previousSubtasks, to: lines },
+            });
+
             // Emit to Socket.IO
             socket.emit("ai:result", {
               type: "subtasks",
@@ -144,12 +246,22 @@ const {
             }
 
             if (priority) {
+              const previousPriority = task.ai?.suggestedPriority ?? null;
+
               task.ai = task.ai || {};
               task.ai.suggestedPriority = priority;
               task.ai.priorityReason = reason;
               task.ai.lastProcessed = new Date();
               await task.save();
 
+              await recordAIActivity("ai_priority", {
+                aiSuggestedPriority: {
+                  from: previousPriority,
+                  to: priority,
+                },
+                aiPriorityReason: { from: null, to: reason },
+              });
+
               // Emit to Socket.IO
               socket.emit("ai:result", {
                 type: "priority",
@@ -0,0 +1,88 @@
+require("dotenv").config();
+const { Worker } = require("bullmq");
+const mongoose = require("mongoose");
+const { connectDB } = require("../lib/db");
+const { connectWorkerSocket } = require("../lib/worker-socket");
+const { maintenanceQueue } = require("../queues/maintenance-queue");
+const { purgeExpiredTrash } = require("../utils/trash");
+const { materializeDueTemplates } = require("../utils/recurring-tasks");
+const { sendDueReminders } = require("../utils/due-reminders");
+const { sendDueDigests } = require("../utils/digest");
+
+// Repeatable jobs owned by this worker, keyed by job name
+const SCHEDULES = {
+  "purge-trash": process.env.TRASH_PURGE_CRON || "0 3 * * *",
+  "recurring-tasks": process.env.RECURRING_TASKS_CRON || "* * * * *",
+  "due-reminders": process.env.DUE_REMINDERS_CRON || "*/5 * * * *",
+  // Digest hours are per user, so this must run at least hourly
+  digests: process.env.DIGEST_CRON || "0 * * * *",
+};
+
+const handlers = {
+  "purge-trash": async () => purgeExpiredTrash(),
+  "recurring-tasks": async () => materializeDueTemplates(),
+  "due-reminders": async () => sendDueReminders(),
+  digests: async () => sendDueDigests(),
+};
+
+(async () => {
+  try {
+    await connectDB();
+    console.log("🧹 Maintenance Worker starting...");
+
+    // Task and notification events raised by jobs reach clients through it
+    const socket = connectWorkerSocket("Maintenance Worker");
+
+    for (const [name, pattern] of Object.entries(SCHEDULES)) {
+      await maintenanceQueue.add(
+        name,
+        {},
+        { repeat: { pattern }, jobId: `schedule:${name}` }
+      );
+    }
+
+    const worker = new Worker(
+      "maintenance",
+      async (job) => {
+        const handler = handlers[job.name];
+        if (!handler) {
+          throw new Error(`Unknown maintenance job type: ${job.name}`);
+        }
+
+        console.log(`🔄 Processing maintenance job: ${job.name}`);
+        return handler(job.data);
+      },
+      {
+        connection: {
+          url: process.env.REDIS_URL || "redis://localhost:6379",
+        },
+        concurrency: 1,
+      }
+    );
+
+    worker.on("completed", (job, result) => {
+      console.log(`🎉 Maintenance Worker completed job ${job.id}:`, result);
+    });
+
+    worker.on("failed", (job, err) => {
+      console.error(`💥 Maintenance Worker job ${job.id} failed:`, err);
+    });
+
+    console.log("🚀 Maintenance Worker started successfully");
+
+    const shutdown = async () => {
+      console.log("🔄 Maintenance Worker shutting down...");
+      socket.disconnect();
+      await worker.close();
+      await maintenanceQueue.close();
+      await mongoose.connection.close();
+      process.exit(0);
+    };
+
+    process.on("SIGTERM", shutdown);
+    process.on("SIGINT", shutdown);
+  } catch (error) {
+    console.error("💥 Maintenance Worker failed to start:", error);
+    process.exit(1);
+  }
+})();
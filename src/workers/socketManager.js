@@ -1,6 +1,8 @@
 const { createClient } = require("redis");
 
 let ioInstance;
+// Set in worker processes, which have no io instance of their own
+let emitRelay;
 const userSockets = new Map();
 
 const redisUrl = process.env.REDIS_URL || "redis://localhost:6379";
@@ -52,11 +54,13 @@ const initializeSocketManager = async (io) => {
   io.on("connection", async (socket) => {
     // Handle worker connections
     if (socket.isWorker) {
-      console.log(`🤖 AI Worker connected: ${socket.id}`);
+      console.log(`🤖 Worker connected: ${socket.id}`);
 
       socket.on("ai:result", (data) => {
         console.log(
-          `🤖 Broadcasting AI ${data.type} result for task ${data.taskId}`
+          data.taskId
+            ? `🤖 Broadcasting AI ${data.type} result for task ${data.taskId}`
+            : `🤖 Broadcasting AI ${data.type} result for project ${data.projectId}`
         );
 
         const projectId = data.projectId;
@@ -67,8 +71,14 @@ const initializeSocketManager = async (io) => {
         });
       });
 
+      // Room events raised inside worker processes (see setEmitRelay)
+      socket.on("worker:emit", ({ room, event, data }) => {
+        if (typeof room !== "string" || typeof event !== "string") return;
+        io.to(room).emit(event, data);
+      });
+
       socket.on("disconnect", () => {
-        console.log(`🤖 AI Worker disconnected: ${socket.id}`);
+        console.log(`🤖 Worker disconnected: ${socket.id}`);
       });
 
       return;
@@ -170,9 +180,16 @@ const emitToRoom = (roomName, event, data) => {
   if (ioInstance) {
     ioInstance.to(roomName).emit(event, data);
     console.log(`📤 Emitted ${event} to room ${roomName}`);
+  } else if (emitRelay) {
+    emitRelay(roomName, event, data);
   }
 };
 
+// Workers forward their room events to the API server through this relay
+const setEmitRelay = (relay) => {
+  emitRelay = relay;
+};
+
 // Get IO instance
 const getIO = () => {
   if (!ioInstance) {
@@ -196,6 +213,7 @@ module.exports = {
   initializeSocketManager,
   joinUserSocketsToRoom,
   emitToRoom,
+  setEmitRelay,
   getIO,
   closeSocketManager,
 };